@@ -0,0 +1,493 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for the QR code generator. Renders a styled code
+ * with the same core as the web page (qrgen.js), so the SVG/PNG files match
+ * what the page produces for the same settings.
+ *
+ * Usage:
+ *   qrgen --text "https://example.com" --color "#1d3c8f" --logo logo.svg --rotate 15 -o out.svg
+ *
+ * The output format follows the extension of `--output` (.svg or .png);
+ * without `--output` the SVG is written to stdout. PNG output and raster logo
+ * processing (--logo-trim, --logo-remove-white, --logo-color) need the
+ * optional @napi-rs/canvas package.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const {
+    setRenderPlatform,
+    renderQrCanvas,
+    buildQrSvg,
+    sanitizeSvgLogo,
+    MAX_QUIET_ZONE,
+} = require("../qrgen");
+
+/** The logo used by the web page, selected with `--logo default`. */
+const DEFAULT_LOGO = path.join(
+    __dirname,
+    "..",
+    "images",
+    "logo",
+    "WRSS_WIT_Logo.svg"
+);
+
+/** MIME types of the image files accepted for the logo and background. */
+const IMAGE_TYPES = {
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".webp": "image/webp",
+    ".gif": "image/gif",
+};
+
+/** Command-line options, in the format of `util.parseArgs`. */
+const CLI_OPTIONS = {
+    text: { type: "string", short: "t" },
+    output: { type: "string", short: "o" },
+    size: { type: "string", short: "s", default: "1000" },
+    color: { type: "string", short: "c" },
+    fill: { type: "string", default: "solid" },
+    angle: { type: "string", default: "0" },
+    "bg-color": { type: "string" },
+    "bg-fill": { type: "string", default: "solid" },
+    "bg-angle": { type: "string", default: "0" },
+    "bg-image": { type: "string" },
+    "bg-fit": { type: "string" },
+    "bg-opacity": { type: "string", default: "100" },
+    "bg-blur": { type: "string", default: "0" },
+    halftone: { type: "boolean", default: false },
+    transparent: { type: "boolean", default: false },
+    panel: { type: "boolean", default: false },
+    style: { type: "string" },
+    "eye-outer": { type: "string" },
+    "eye-inner": { type: "string" },
+    "eye-outer-color": { type: "string" },
+    "eye-inner-color": { type: "string" },
+    logo: { type: "string" },
+    "logo-trim": { type: "boolean", default: false },
+    "logo-remove-white": { type: "boolean", default: false },
+    "logo-padding": { type: "string", default: "0" },
+    "logo-color": { type: "string", default: "keep" },
+    "logo-scale": { type: "string", default: "20" },
+    "logo-shape": { type: "string" },
+    "logo-plate": { type: "string" },
+    "logo-border": { type: "string", default: "0" },
+    "logo-border-color": { type: "string" },
+    "logo-unsafe": { type: "boolean", default: false },
+    "quiet-zone": { type: "string" },
+    rotate: { type: "string", short: "r", default: "0" },
+    caption: { type: "string" },
+    frame: { type: "string" },
+    "frame-text": { type: "string" },
+    "frame-position": { type: "string" },
+    "frame-font": { type: "string" },
+    "frame-color": { type: "string" },
+    "frame-padding": { type: "string" },
+    crop: { type: "boolean", default: false },
+    ecc: { type: "string" },
+    version: { type: "string" },
+    "force-version": { type: "boolean", default: false },
+    mask: { type: "string" },
+    mode: { type: "string" },
+    help: { type: "boolean", short: "h", default: false },
+};
+
+/** Allowed values of the options that take one of a fixed set of words. */
+const CLI_CHOICES = {
+    fill: ["solid", "linear", "radial"],
+    "bg-fill": ["solid", "linear", "radial"],
+    "bg-fit": ["cover", "contain", "stretch", "tile"],
+    style: ["square", "circle", "rounded", "liquid", "vbars", "hbars"],
+    "eye-outer": ["square", "rounded", "circle", "leaf"],
+    "eye-inner": ["square", "rounded", "circle", "leaf"],
+    "logo-shape": ["circle", "square", "rounded", "none"],
+    frame: ["none", "box", "bubble", "banner"],
+    "frame-position": ["top", "bottom"],
+    "frame-font": ["averta", "sans", "serif", "mono"],
+    ecc: ["L", "M", "Q", "H"],
+    mode: ["numeric", "alphanumeric", "byte"],
+};
+
+/** Options holding a single color; --color and --bg-color take a list. */
+const CLI_COLORS = [
+    "eye-outer-color",
+    "eye-inner-color",
+    "logo-border-color",
+    "frame-color",
+];
+
+/** Colors accepted on the command line: #rgb or #rrggbb. */
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * An invalid command-line argument; reported together with the usage and a
+ * non-zero exit code.
+ */
+class UsageError extends Error {}
+
+const USAGE = `Użycie: qrgen --text <treść> [opcje] [-o plik.svg|plik.png]
+
+  -t, --text <treść>          Treść kodu (wymagana)
+  -o, --output <plik>         Plik wynikowy (.svg lub .png); bez niego SVG na stdout
+  -s, --size <px>             Szerokość PNG w pikselach (domyślnie 1000)
+  -c, --color <kolory>        Kolor modułów; kilka kolorów po przecinku tworzy gradient
+      --fill <typ>            solid, linear lub radial (domyślnie solid)
+      --angle <stopnie>       Kierunek gradientu liniowego
+      --bg-color <kolory>     Kolor tła (jak --color)
+      --bg-fill <typ>         Typ wypełnienia tła
+      --bg-angle <stopnie>    Kierunek gradientu tła
+      --bg-image <plik>       Obraz tła (na kolorze tła)
+      --bg-fit <tryb>         cover (domyślnie), contain, stretch lub tile
+      --bg-opacity <%>        Krycie obrazu tła (0–100)
+      --bg-blur <%>           Rozmycie obrazu tła (0–5% boku kodu)
+      --halftone              Moduły jako kropki, obraz tła widoczny między nimi
+      --transparent           Przezroczyste tło
+      --panel                 Jasny panel pod kodem (poprawia kontrast)
+      --style <styl>          square, circle, rounded, liquid, vbars lub hbars
+      --eye-outer <kształt>   Kształt ramki oczu: square, rounded, circle lub leaf
+      --eye-inner <kształt>   Kształt środka oczu
+      --eye-outer-color <kol> Własny kolor ramki oczu
+      --eye-inner-color <kol> Własny kolor środka oczu
+      --logo <plik|default>   Logo na środku kodu: SVG, PNG, JPEG lub WebP ("default" = logo strony)
+      --logo-trim             Przytnij przezroczyste brzegi logo rastrowego
+      --logo-remove-white     Usuń białe tło logo rastrowego
+      --logo-padding <%>      Margines wokół logo (0–40% jego rozmiaru)
+      --logo-color <tryb>     Kolory logo: keep (oryginalne, domyślnie),
+                              qr (kolor kodu), invert lub kolor
+                              (jednolity, np. "#c00000")
+      --logo-scale <%>        Rozmiar logo (5–40% boku kodu, domyślnie 20)
+      --logo-shape <kształt>  circle, square, rounded lub none
+      --logo-plate <kolor>    Podkład logo: auto (kolor tła), none lub kolor
+      --logo-border <%>       Obramowanie logo (0–10% jego rozmiaru)
+      --logo-border-color <k> Kolor obramowania (domyślnie czarny)
+      --logo-unsafe           Nie zmniejszaj logo większego niż bezpieczny rozmiar
+      --quiet-zone <0–${MAX_QUIET_ZONE}>     Strefa ciszy w modułach (domyślnie 4)
+  -r, --rotate <stopnie>      Obrót kodu (0–360)
+      --caption <tekst>       Podpis pod kodem
+      --frame <szablon>       Ramka: none, box (obramowanie), bubble (dymek)
+                              lub banner (baner)
+      --frame-text <tekst>    Tekst ramki (domyślnie "Zeskanuj mnie")
+      --frame-position <poz>  Tekst ramki: bottom (pod kodem) lub top (nad)
+      --frame-font <czcionka> averta, sans, serif lub mono
+      --frame-color <kolor>   Kolor ramki (domyślnie czarny)
+      --frame-padding <%>     Odstęp ramki od kodu (0–20% boku kodu, domyślnie 4)
+      --crop                  Bez marginesu na obrót
+      --ecc <poziom>          Poziom korekcji błędów: L, M, Q lub H
+      --version <1–40>        Minimalna wersja kodu
+      --force-version         Wymuś dokładnie podaną wersję
+      --mask <0–7>            Wzorzec maski
+      --mode <tryb>           numeric, alphanumeric lub byte
+  -h, --help                  Ta pomoc
+`;
+
+/**
+ * Checks a color argument.
+ *
+ * @param {string} name - Option name, for the message
+ * @param {string} color
+ * @throws {UsageError} When the color is not #rgb or #rrggbb
+ */
+function checkColor(name, color) {
+    if (!HEX_COLOR.test(color)) {
+        throw new UsageError(
+            `Nieprawidłowy kolor w --${name}: "${color}" (oczekiwano #rrggbb).`
+        );
+    }
+}
+
+/**
+ * Checks the values of the options with a fixed set of values and the color
+ * options, before anything is rendered.
+ *
+ * @param {Object} values - Result of `util.parseArgs`
+ * @throws {UsageError} For the first invalid value
+ */
+function validateArgs(values) {
+    Object.entries(CLI_CHOICES).forEach(([name, choices]) => {
+        const value = values[name];
+        if (value !== undefined && !choices.includes(value)) {
+            const allowed = choices.join(", ");
+            throw new UsageError(
+                `Nieprawidłowa wartość --${name}: "${value}" (dozwolone: ${allowed}).`
+            );
+        }
+    });
+    ["color", "bg-color"].forEach((name) => {
+        if (values[name] === undefined) return;
+        values[name]
+            .split(",")
+            .forEach((color) => checkColor(name, color.trim()));
+    });
+    CLI_COLORS.forEach((name) => {
+        if (values[name] !== undefined) checkColor(name, values[name]);
+    });
+    if (!["qr", "keep", "invert"].includes(values["logo-color"])) {
+        checkColor("logo-color", values["logo-color"]);
+    }
+    if (![undefined, "auto", "none"].includes(values["logo-plate"])) {
+        checkColor("logo-plate", values["logo-plate"]);
+    }
+}
+
+/**
+ * Reads an image file into a data URI, so the core can load it like an
+ * upload in the browser.
+ *
+ * @param {string} file - Path to the image
+ * @returns {string}
+ */
+function fileToDataUri(file) {
+    const type = IMAGE_TYPES[path.extname(file).toLowerCase()];
+    if (!type) {
+        throw new Error(`Nieobsługiwany format obrazu: ${file}`);
+    }
+    return `data:${type};base64,${fs.readFileSync(file).toString("base64")}`;
+}
+
+/**
+ * Builds a fill from a comma-separated color list and a fill type, like the
+ * color input plus the gradient stops on the page.
+ *
+ * @param {string|undefined} colors - e.g. "#000000" or "#000000,#3a5bd9"
+ * @param {string} type - "solid", "linear" or "radial"
+ * @param {string} angle - Gradient angle in degrees
+ * @returns {Paint|undefined} Undefined when no color was given
+ */
+function parsePaint(colors, type, angle) {
+    if (!colors) return undefined;
+    const stops = colors.split(",").map((color) => color.trim());
+    if (type === "solid" || stops.length < 2) {
+        return { type: "solid", colors: [stops[0]], angle: 0 };
+    }
+    return { type, colors: stops, angle: parseFloat(angle) || 0 };
+}
+
+/**
+ * Parses an optional integer argument.
+ *
+ * @param {string|undefined} value
+ * @param {string} name - Option name, for the message
+ * @param {number} min
+ * @param {number} max
+ * @returns {number|undefined}
+ * @throws {UsageError} When the value is not an integer in [min, max]
+ */
+function parseOptionalInt(value, name, min, max) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new UsageError(
+            `Nieprawidłowa wartość --${name}: "${value}" (dozwolone ${min}–${max}).`
+        );
+    }
+    return number;
+}
+
+/**
+ * Parses the logo color argument: "qr", "keep", "invert" or a color.
+ *
+ * @param {string} value
+ * @returns {{logoColorMode: string, logoColor: (string|undefined)}}
+ */
+function parseLogoColor(value) {
+    if (["qr", "keep", "invert"].includes(value)) {
+        return { logoColorMode: value, logoColor: undefined };
+    }
+    return { logoColorMode: "custom", logoColor: value };
+}
+
+/**
+ * Parses the logo plate argument: "auto", "none" or a color.
+ *
+ * @param {string|undefined} value
+ * @returns {{logoPlate: (string|undefined), logoPlateColor: (string|undefined)}}
+ */
+function parseLogoPlate(value) {
+    if (value === undefined || value === "auto" || value === "none") {
+        return { logoPlate: value, logoPlateColor: undefined };
+    }
+    return { logoPlate: "color", logoPlateColor: value };
+}
+
+/**
+ * Converts the parsed command-line values into render options.
+ *
+ * @param {Object} values - Result of `util.parseArgs`
+ * @returns {Partial<RenderOptions>}
+ */
+function toRenderOptions(values) {
+    let logo = null;
+    if (values.logo) {
+        logo = fileToDataUri(
+            values.logo === "default" ? DEFAULT_LOGO : values.logo
+        );
+    }
+
+    return {
+        errorCorrectionLevel: values.ecc,
+        version: parseOptionalInt(values.version, "version", 1, 40),
+        forceVersion: values["force-version"],
+        maskPattern: parseOptionalInt(values.mask, "mask", 0, 7),
+        mode: values.mode,
+        qrColor: parsePaint(values.color, values.fill, values.angle),
+        bgColor: parsePaint(
+            values["bg-color"],
+            values["bg-fill"],
+            values["bg-angle"]
+        ),
+        transparent: values.transparent,
+        backgroundImage: values["bg-image"]
+            ? fileToDataUri(values["bg-image"])
+            : null,
+        backgroundFit: values["bg-fit"],
+        backgroundOpacity: parseFloat(values["bg-opacity"]),
+        backgroundBlur: parseFloat(values["bg-blur"]) || 0,
+        halftone: values.halftone,
+        backingPanel: values.panel,
+        moduleStyle: values.style,
+        eyeOuterShape: values["eye-outer"],
+        eyeInnerShape: values["eye-inner"],
+        eyeOuterColor: values["eye-outer-color"] || null,
+        eyeInnerColor: values["eye-inner-color"] || null,
+        logo,
+        logoTrim: values["logo-trim"],
+        logoRemoveWhite: values["logo-remove-white"],
+        ...parseLogoColor(values["logo-color"]),
+        logoPadding: parseFloat(values["logo-padding"]) || 0,
+        logoScale: parseFloat(values["logo-scale"]) || 20,
+        logoShape: values["logo-shape"],
+        ...parseLogoPlate(values["logo-plate"]),
+        logoBorderWidth: parseFloat(values["logo-border"]) || 0,
+        logoBorderColor: values["logo-border-color"],
+        logoSafeClamp: !values["logo-unsafe"],
+        quietZone: parseOptionalInt(
+            values["quiet-zone"],
+            "quiet-zone",
+            0,
+            MAX_QUIET_ZONE
+        ),
+        rotation: parseFloat(values.rotate) || 0,
+        caption: values.caption,
+        frameStyle: values.frame,
+        frameText: values["frame-text"],
+        frameTextPosition: values["frame-position"],
+        frameFont: values["frame-font"],
+        frameColor: values["frame-color"],
+        framePadding:
+            values["frame-padding"] === undefined
+                ? undefined
+                : parseFloat(values["frame-padding"]) || 0,
+        cropToContent: values.crop,
+    };
+}
+
+/**
+ * Registers the @napi-rs/canvas implementation with the core, for PNG output
+ * and raster logo processing.
+ *
+ * @throws {Error} When the optional package is not installed
+ */
+function useNodeCanvas() {
+    let canvasModule;
+    try {
+        canvasModule = require("@napi-rs/canvas");
+    } catch (e) {
+        throw new Error(
+            "Zapis PNG i obróbka logo wymagają pakietu @napi-rs/canvas (npm install @napi-rs/canvas)."
+        );
+    }
+    setRenderPlatform({
+        createCanvas: canvasModule.createCanvas,
+        loadImage: canvasModule.loadImage,
+        Path2D: canvasModule.Path2D,
+    });
+}
+
+/**
+ * Entry point: parses the arguments, renders the code and writes the file.
+ *
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+    let values;
+    try {
+        ({ values } = parseArgs({ args: argv, options: CLI_OPTIONS }));
+    } catch (e) {
+        // Unknown options and missing option values
+        throw new UsageError(e.message);
+    }
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (!values.text) {
+        throw new UsageError("Brak treści kodu (--text).");
+    }
+    validateArgs(values);
+
+    const options = toRenderOptions(values);
+    const output = values.output;
+    const format = output ? path.extname(output).toLowerCase() : ".svg";
+    const svgLogo = Boolean(options.logo?.startsWith("data:image/svg+xml"));
+
+    // The logo is sanitized when it is rendered; tell the user what goes
+    if (svgLogo) {
+        const markup = Buffer.from(
+            options.logo.slice(options.logo.indexOf(",") + 1),
+            "base64"
+        ).toString("utf8");
+        const { removed } = sanitizeSvgLogo(markup);
+        if (removed.length) {
+            process.stderr.write(
+                `qrgen: usunięto z logo: ${removed.join(", ")}\n`
+            );
+        }
+    }
+
+    // Raster logos are processed on a canvas unless they are used as they are
+    if (
+        options.logo &&
+        !svgLogo &&
+        (values["logo-trim"] ||
+            values["logo-remove-white"] ||
+            options.logoColorMode !== "keep")
+    ) {
+        useNodeCanvas();
+    }
+
+    if (format === ".svg") {
+        const svg = await buildQrSvg(values.text, options);
+        if (output) {
+            fs.writeFileSync(output, svg);
+        } else {
+            process.stdout.write(`${svg}\n`);
+        }
+    } else if (format === ".png") {
+        useNodeCanvas();
+        const size = Math.min(
+            Math.max(parseInt(values.size, 10) || 0, 16),
+            8000
+        );
+        const canvas = await renderQrCanvas(values.text, size, options);
+        fs.writeFileSync(output, await canvas.encode("png"));
+    } else {
+        throw new Error(
+            `Nieobsługiwany format pliku: ${output} (.svg lub .png).`
+        );
+    }
+}
+
+main(process.argv.slice(2)).catch((e) => {
+    process.stderr.write(`qrgen: ${e.message}\n`);
+    if (e instanceof UsageError) {
+        process.stderr.write(`\n${USAGE}`);
+        process.exitCode = 2;
+    } else {
+        process.exitCode = 1;
+    }
+});
@@ -0,0 +1,3461 @@
+/**
+ * Headless rendering core of the QR code generator, shared by the web page
+ * (script.js) and the Node.js CLI (bin/qrgen.js).
+ *
+ * Everything here works from a plain options object (see RenderOptions) and
+ * never touches the page: the same scene (see buildScene) is drawn by the
+ * canvas backend (drawScene) and the SVG backend (sceneToSvg), so a code
+ * generated by a build script is identical to the one in the browser.
+ *
+ * In the browser this file is loaded as a classic script before script.js and
+ * its functions become globals. In Node.js it is a CommonJS module:
+ *
+ *     const qrgen = require("./qrgen");
+ *     const svg = await qrgen.buildQrSvg("https://example.com", { qrColor: "#1d3c8f" });
+ *
+ * Requirements:
+ *   - The `qrcode` package (`QRCode.create`), as a global or an npm dependency.
+ *   - For canvas/PNG output (and raster logo processing) outside the browser,
+ *     a canvas implementation with `Path2D` registered through
+ *     setRenderPlatform (the CLI uses @napi-rs/canvas).
+ */
+
+// --------------------------------------------------------------------
+// 1. PLATFORM
+// --------------------------------------------------------------------
+
+/** True when loaded as a CommonJS module (Node.js) rather than a page script. */
+const isNodeModule = typeof module !== "undefined" && Boolean(module.exports);
+
+/** The QR code library: the page's global, or the npm package in Node.js. */
+const QRCodeLib = isNodeModule ? require("qrcode") : QRCode;
+
+/**
+ * Canvas features used by the canvas backend. The browser's are used by
+ * default; other environments register theirs with setRenderPlatform.
+ *
+ * @type {{createCanvas: function(number, number): HTMLCanvasElement, loadImage: function(string): Promise<HTMLImageElement>, Path2D: Function}}
+ */
+const renderPlatform = {
+    createCanvas: (width, height) => {
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    },
+    loadImage: (src) =>
+        new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = reject;
+            img.src = src;
+        }),
+    Path2D: typeof Path2D !== "undefined" ? Path2D : null,
+};
+
+/**
+ * Replaces some of the canvas features (e.g. with those of a Node.js canvas
+ * package).
+ *
+ * @param {Partial<typeof renderPlatform>} platform
+ */
+function setRenderPlatform(platform) {
+    Object.assign(renderPlatform, platform);
+}
+
+/**
+ * Loads an image (background image, logo) so it can be drawn synchronously.
+ *
+ * @param {string} src - The base64, blob or file URL of the image
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(src) {
+    return renderPlatform.loadImage(src);
+}
+
+// --------------------------------------------------------------------
+// 2. ENCODING OPTIONS & CAPACITY
+// --------------------------------------------------------------------
+
+/** Total codewords per QR version (index 0 = version 1). */
+const TOTAL_CODEWORDS = [
+    26, 44, 70, 100, 134, 172, 196, 242, 292, 346, 404, 466, 532, 581, 655, 733,
+    815, 901, 991, 1085, 1156, 1258, 1364, 1474, 1588, 1706, 1828, 1921, 2051,
+    2185, 2323, 2465, 2611, 2761, 2876, 3034, 3196, 3362, 3532, 3706,
+];
+
+/** Error correction codewords per QR version (index 0 = version 1) for each level. */
+const EC_CODEWORDS = {
+    L: [
+        7, 10, 15, 20, 26, 36, 40, 48, 60, 72, 80, 96, 104, 120, 132, 144, 168,
+        180, 196, 224, 224, 252, 270, 300, 312, 336, 360, 390, 420, 450, 480,
+        510, 540, 570, 570, 600, 630, 660, 720, 750,
+    ],
+    M: [
+        10, 16, 26, 36, 48, 64, 72, 88, 110, 130, 150, 176, 198, 216, 240, 280,
+        308, 338, 364, 416, 442, 476, 504, 560, 588, 644, 700, 728, 784, 812,
+        868, 924, 980, 1036, 1064, 1120, 1204, 1260, 1316, 1372,
+    ],
+    Q: [
+        13, 22, 36, 52, 72, 96, 108, 132, 160, 192, 224, 260, 288, 320, 360,
+        408, 448, 504, 546, 600, 644, 690, 750, 810, 870, 952, 1020, 1050, 1140,
+        1200, 1290, 1350, 1440, 1530, 1590, 1680, 1770, 1860, 1950, 2040,
+    ],
+    H: [
+        17, 28, 44, 64, 88, 112, 130, 156, 192, 224, 264, 308, 352, 384, 432,
+        480, 532, 588, 650, 700, 750, 816, 900, 960, 1050, 1110, 1200, 1260,
+        1350, 1440, 1530, 1620, 1710, 1800, 1890, 1980, 2100, 2220, 2310, 2430,
+    ],
+};
+
+/** Error correction blocks per QR version (index 0 = version 1) for each level. */
+const EC_BLOCKS = {
+    L: [
+        1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10,
+        12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25,
+    ],
+    M: [
+        1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17,
+        17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47,
+        49,
+    ],
+    Q: [
+        1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23,
+        23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65,
+        68,
+    ],
+    H: [
+        1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25,
+        25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74,
+        77, 81,
+    ],
+};
+
+/**
+ * Error correction codewords that the smallest versions spend on detecting
+ * misreads instead of repairing damage, by version and level.
+ */
+const MISDECODE_PROTECTION = {
+    1: { L: 3, M: 2, Q: 1, H: 1 },
+    2: { L: 2 },
+    3: { L: 1 },
+};
+
+/** Maps the library's error correction `bit` values back to level names. */
+const ECC_LEVEL_NAMES = { 1: "L", 0: "M", 3: "Q", 2: "H" };
+
+/** Characters accepted by the encoding modes that can be forced by the user. */
+const ENCODING_MODE_PATTERNS = {
+    numeric: { pattern: /^\d+$/, label: "numeryczny" },
+    alphanumeric: { pattern: /^[0-9A-Z $%*+\-./:]+$/, label: "alfanumeryczny" },
+    byte: { pattern: /^[\s\S]+$/, label: "bajtowy" },
+};
+
+/** Error correction levels accepted by `createQrCode`. */
+const ECC_LEVELS = ["L", "M", "Q", "H"];
+
+/**
+ * Checks the encoding options before they reach the library, which would
+ * otherwise silently fall back to its defaults for unknown values.
+ *
+ * @param {{errorCorrectionLevel: string, version: (number|undefined), maskPattern: (number|undefined), mode: string}} options
+ * @throws {TypeError} When an option is out of range
+ */
+function validateEncodingOptions(options) {
+    const { errorCorrectionLevel, version, maskPattern, mode } = options;
+    if (!ECC_LEVELS.includes(errorCorrectionLevel)) {
+        const levels = ECC_LEVELS.join(", ");
+        throw new TypeError(
+            `Nieznany poziom korekcji błędów: ${errorCorrectionLevel} (dozwolone: ${levels}).`
+        );
+    }
+    if (
+        version !== undefined &&
+        !(Number.isInteger(version) && version >= 1 && version <= 40)
+    ) {
+        throw new TypeError(
+            `Nieprawidłowa wersja: ${version} (dozwolone 1–40).`
+        );
+    }
+    if (
+        maskPattern !== undefined &&
+        !(Number.isInteger(maskPattern) && maskPattern >= 0 && maskPattern <= 7)
+    ) {
+        throw new TypeError(
+            `Nieprawidłowy wzorzec maski: ${maskPattern} (dozwolone 0–7).`
+        );
+    }
+    if (mode && !Object.hasOwn(ENCODING_MODE_PATTERNS, mode)) {
+        const modes = Object.keys(ENCODING_MODE_PATTERNS).join(", ");
+        throw new TypeError(
+            `Nieznany tryb kodowania: ${mode} (dozwolone: ${modes}).`
+        );
+    }
+}
+
+/**
+ * Creates the QR code for the given text with the chosen error correction
+ * level, version, mask pattern and encoding mode.
+ * A version that is too small is treated as a minimum (the smallest fitting
+ * version is used instead) unless `forceVersion` is set.
+ *
+ * @param {string} text - The text/URL to encode
+ * @param {{errorCorrectionLevel: string, version: (number|undefined), forceVersion: boolean, maskPattern: (number|undefined), mode: string}} options
+ * @returns {Object} The QR code object returned by `QRCode.create`
+ * @throws {TypeError} When the level, version, mask pattern or mode is invalid
+ * @throws {Error} With a user-facing message when the data cannot be encoded
+ */
+function createQrCode(text, options) {
+    validateEncodingOptions(options);
+
+    // A forced encoding mode becomes a single explicit segment
+    let data = text;
+    if (options.mode) {
+        const { pattern, label } = ENCODING_MODE_PATTERNS[options.mode];
+        if (!pattern.test(text)) {
+            throw new Error(`Treść nie pasuje do trybu kodowania: ${label}.`);
+        }
+        data = [{ data: text, mode: options.mode }];
+    }
+
+    const baseOptions = {
+        errorCorrectionLevel: options.errorCorrectionLevel,
+        maskPattern: options.maskPattern,
+    };
+
+    let minimalCode;
+    try {
+        minimalCode = QRCodeLib.create(data, baseOptions);
+    } catch (e) {
+        throw new Error(
+            `Za dużo danych dla poziomu korekcji ${options.errorCorrectionLevel}.`
+        );
+    }
+
+    if (!options.version || options.version === minimalCode.version) {
+        return minimalCode;
+    }
+
+    if (options.version > minimalCode.version) {
+        return QRCodeLib.create(data, {
+            ...baseOptions,
+            version: options.version,
+        });
+    }
+
+    if (options.forceVersion) {
+        throw new Error(
+            `Dane nie mieszczą się w wersji ${options.version} (wymagana co najmniej ${minimalCode.version}).`
+        );
+    }
+    return minimalCode;
+}
+
+/**
+ * Computes how much of the symbol's data capacity the encoded segments use.
+ *
+ * @param {Object} qrCode - The QR code object returned by `QRCode.create`
+ * @returns {{level: string, usedBits: number, capacityBits: number}}
+ */
+function getQrCapacity(qrCode) {
+    const level = ECC_LEVEL_NAMES[qrCode.errorCorrectionLevel.bit];
+    const index = qrCode.version - 1;
+    const ccIndex = qrCode.version < 10 ? 0 : qrCode.version < 27 ? 1 : 2;
+
+    // Each segment: 4-bit mode indicator + character count + data bits
+    const usedBits = qrCode.segments.reduce(
+        (sum, segment) =>
+            sum + 4 + segment.mode.ccBits[ccIndex] + segment.getBitsLength(),
+        0
+    );
+    const capacityBits =
+        (TOTAL_CODEWORDS[index] - EC_CODEWORDS[level][index]) * 8;
+
+    return { level, usedBits, capacityBits };
+}
+
+/**
+ * Locates the codewords of a symbol: which codeword every data module
+ * carries, and which error correction block every codeword belongs to.
+ * Follows the library's module placement (two-column zigzag from the
+ * bottom-right corner) and codeword interleaving (data codewords of all
+ * blocks in turn, then their error correction codewords).
+ *
+ * @param {Object} qrCode - The QR code object returned by `QRCode.create`
+ * @returns {{moduleCodewords: Int32Array, codewordBlocks: Int32Array, blockCount: number, correctable: number}}
+ *   Codeword per module at `row * size + col` (-1 for function patterns and
+ *   remainder bits), block per codeword, and how many damaged codewords each
+ *   block can repair
+ */
+function getCodewordLayout(qrCode) {
+    const level = ECC_LEVEL_NAMES[qrCode.errorCorrectionLevel.bit];
+    const index = qrCode.version - 1;
+    const totalCodewords = TOTAL_CODEWORDS[index];
+    const ecTotal = EC_CODEWORDS[level][index];
+    const blockCount = EC_BLOCKS[level][index];
+    const ecPerBlock = ecTotal / blockCount;
+
+    // The last `totalCodewords % blockCount` blocks hold one more data codeword
+    const shortData = Math.floor((totalCodewords - ecTotal) / blockCount);
+    const longBlocks = totalCodewords % blockCount;
+    const codewordBlocks = new Int32Array(totalCodewords);
+    let next = 0;
+    for (let i = 0; i <= shortData; i++) {
+        for (let block = 0; block < blockCount; block++) {
+            if (i < shortData || block >= blockCount - longBlocks) {
+                codewordBlocks[next++] = block;
+            }
+        }
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+        for (let block = 0; block < blockCount; block++) {
+            codewordBlocks[next++] = block;
+        }
+    }
+
+    const { size } = qrCode.modules;
+    const moduleCodewords = new Int32Array(size * size).fill(-1);
+    let bit = 0;
+    let row = size - 1;
+    let step = -1;
+    for (let col = size - 1; col > 0; col -= 2) {
+        // The vertical timing pattern shifts the columns left of it
+        if (col === 6) col--;
+        for (;;) {
+            for (let c = 0; c < 2; c++) {
+                if (!qrCode.modules.isReserved(row, col - c)) {
+                    const codeword = Math.floor(bit / 8);
+                    if (codeword < totalCodewords) {
+                        moduleCodewords[row * size + col - c] = codeword;
+                    }
+                    bit++;
+                }
+            }
+            row += step;
+            if (row < 0 || row >= size) {
+                row -= step;
+                step = -step;
+                break;
+            }
+        }
+    }
+
+    const protection = MISDECODE_PROTECTION[qrCode.version]?.[level] || 0;
+    return {
+        moduleCodewords,
+        codewordBlocks,
+        blockCount,
+        correctable: Math.floor((ecPerBlock - protection) / 2),
+    };
+}
+
+/** Mask applied to the format information so it is never all light. */
+const FORMAT_INFO_MASK = 0x5412;
+
+/** Generator polynomial of the BCH(15,5) code of the format information. */
+const FORMAT_INFO_GENERATOR = 0x537;
+
+/** Most wrong bits tolerated when matching the format information. */
+const MAX_FORMAT_INFO_ERRORS = 3;
+
+/**
+ * Encodes the 5 data bits of the format information (2 bits of error
+ * correction level, 3 of mask pattern) into the masked 15-bit word printed
+ * next to the finder patterns.
+ *
+ * @param {number} data - 0–31
+ * @returns {number}
+ */
+function encodeFormatInformation(data) {
+    let remainder = data << 10;
+    for (let bit = 14; bit >= 10; bit--) {
+        if (remainder & (1 << bit)) {
+            remainder ^= FORMAT_INFO_GENERATOR << (bit - 10);
+        }
+    }
+    return ((data << 10) | remainder) ^ FORMAT_INFO_MASK;
+}
+
+/**
+ * Maps the unit square onto a quadrilateral (a projective transform), so
+ * module positions can be found in a photographed or skewed code.
+ *
+ * @param {{topLeftCorner: {x: number, y: number}, topRightCorner: {x: number, y: number}, bottomRightCorner: {x: number, y: number}, bottomLeftCorner: {x: number, y: number}}} corners
+ * @returns {(u: number, v: number) => {x: number, y: number}}
+ */
+function createSquareToQuadMapping(corners) {
+    const { x: x0, y: y0 } = corners.topLeftCorner;
+    const { x: x1, y: y1 } = corners.topRightCorner;
+    const { x: x2, y: y2 } = corners.bottomRightCorner;
+    const { x: x3, y: y3 } = corners.bottomLeftCorner;
+    const dx1 = x1 - x2;
+    const dx2 = x3 - x2;
+    const dx3 = x0 - x1 + x2 - x3;
+    const dy1 = y1 - y2;
+    const dy2 = y3 - y2;
+    const dy3 = y0 - y1 + y2 - y3;
+
+    // A parallelogram needs no perspective terms
+    let g = 0;
+    let h = 0;
+    if (dx3 !== 0 || dy3 !== 0) {
+        const denominator = dx1 * dy2 - dx2 * dy1;
+        g = (dx3 * dy2 - dx2 * dy3) / denominator;
+        h = (dx1 * dy3 - dx3 * dy1) / denominator;
+    }
+    const a = x1 - x0 + g * x1;
+    const b = x3 - x0 + h * x3;
+    const d = y1 - y0 + g * y1;
+    const e = y3 - y0 + h * y3;
+
+    return (u, v) => {
+        const w = g * u + h * v + 1;
+        return {
+            x: (a * u + b * v + x0) / w,
+            y: (d * u + e * v + y0) / w,
+        };
+    };
+}
+
+/**
+ * Reads the error correction level of a QR code found in an image from its
+ * format information, which jsQR uses but doesn't report. Both copies of the
+ * 15 bits are sampled at the module centers (between the corners jsQR
+ * located) and matched to the closest valid word, tolerating a few misread
+ * modules as decoders do. Codes printed light on dark are read too.
+ *
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - RGBA pixels the code was found in
+ * @param {Object} location - `location` of the jsQR result
+ * @param {number} version - `version` of the jsQR result
+ * @returns {string|null} "L", "M", "Q" or "H", or null when the format information can't be read
+ */
+function readErrorCorrectionLevel(image, location, version) {
+    const size = version * 4 + 17;
+    const toImage = createSquareToQuadMapping(location);
+    const luminanceAt = (col, row) => {
+        const point = toImage((col + 0.5) / size, (row + 0.5) / size);
+        const x = Math.min(image.width - 1, Math.max(0, Math.floor(point.x)));
+        const y = Math.min(image.height - 1, Math.max(0, Math.floor(point.y)));
+        const i = (y * image.width + x) * 4;
+        return (
+            0.2126 * image.data[i] +
+            0.7152 * image.data[i + 1] +
+            0.0722 * image.data[i + 2]
+        );
+    };
+
+    // The top-left finder pattern sets the threshold: its outer ring is dark
+    // and the ring inside it light (the other way round in inverted codes)
+    let dark = 0;
+    let light = 0;
+    for (let i = 0; i < 6; i++) {
+        dark +=
+            luminanceAt(i, 0) +
+            luminanceAt(6, i) +
+            luminanceAt(6 - i, 6) +
+            luminanceAt(0, 6 - i);
+    }
+    for (let i = 0; i < 4; i++) {
+        light +=
+            luminanceAt(1 + i, 1) +
+            luminanceAt(5, 1 + i) +
+            luminanceAt(5 - i, 5) +
+            luminanceAt(1, 5 - i);
+    }
+    dark /= 24;
+    light /= 16;
+    if (dark === light) return null;
+    const threshold = (dark + light) / 2;
+    const readBits = (positions) =>
+        positions.reduce(
+            (bits, [col, row]) =>
+                (bits << 1) |
+                (luminanceAt(col, row) < threshold === dark < light ? 1 : 0),
+            0
+        );
+
+    // Most significant bit first: along row 8 and up column 8 around the
+    // top-left finder, then up column 8 by the bottom-left finder and along
+    // row 8 by the top-right one (the timing patterns are skipped)
+    const nearTopLeft = [];
+    const nearOthers = [];
+    for (let i = 0; i <= 8; i++) {
+        if (i !== 6) nearTopLeft.push([i, 8]);
+    }
+    for (let i = 7; i >= 0; i--) {
+        if (i !== 6) nearTopLeft.push([8, i]);
+    }
+    for (let i = 1; i <= 7; i++) nearOthers.push([8, size - i]);
+    for (let i = 8; i >= 1; i--) nearOthers.push([size - i, 8]);
+    const copies = [readBits(nearTopLeft), readBits(nearOthers)];
+
+    const countBits = (value) => {
+        let count = 0;
+        for (; value; value &= value - 1) count++;
+        return count;
+    };
+    let best = null;
+    let bestErrors = MAX_FORMAT_INFO_ERRORS + 1;
+    for (let data = 0; data < 32; data++) {
+        const word = encodeFormatInformation(data);
+        const errors = Math.min(
+            ...copies.map((bits) => countBits(bits ^ word))
+        );
+        if (errors < bestErrors) {
+            best = data;
+            bestErrors = errors;
+        }
+    }
+    // The level is in the two high bits, in the library's `bit` numbering
+    return best === null ? null : ECC_LEVEL_NAMES[best >> 3];
+}
+
+// --------------------------------------------------------------------
+// 3. MODULE SHAPES (SHARED PATH GEOMETRY)
+// --------------------------------------------------------------------
+
+/** Control point distance for approximating a quarter circle with a cubic Bézier. */
+const KAPPA = 0.5522847498;
+
+/**
+ * Rounds a coordinate to two decimals to keep the path data compact.
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function roundCoord(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Builds the path data for a rectangle with an individual radius per corner.
+ * Only absolute M/L/C/Z commands are emitted, so the same string can be used
+ * as SVG path data and as a canvas `Path2D`.
+ *
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} w - Width
+ * @param {number} h - Height
+ * @param {number[]} [radii=[0, 0, 0, 0]] - Top-left, top-right, bottom-right, bottom-left radius
+ * @returns {string} Path data
+ */
+function roundedRectPath(x, y, w, h, radii = [0, 0, 0, 0]) {
+    const maxRadius = Math.min(w, h) / 2;
+    const [tl, tr, br, bl] = radii.map((r) => Math.min(r, maxRadius));
+    const c = roundCoord;
+
+    let d = `M${c(x + tl)},${c(y)}L${c(x + w - tr)},${c(y)}`;
+    if (tr) {
+        d += `C${c(x + w - tr * (1 - KAPPA))},${c(y)} ${c(x + w)},${c(
+            y + tr * (1 - KAPPA)
+        )} ${c(x + w)},${c(y + tr)}`;
+    }
+    d += `L${c(x + w)},${c(y + h - br)}`;
+    if (br) {
+        d += `C${c(x + w)},${c(y + h - br * (1 - KAPPA))} ${c(
+            x + w - br * (1 - KAPPA)
+        )},${c(y + h)} ${c(x + w - br)},${c(y + h)}`;
+    }
+    d += `L${c(x + bl)},${c(y + h)}`;
+    if (bl) {
+        d += `C${c(x + bl * (1 - KAPPA))},${c(y + h)} ${c(x)},${c(
+            y + h - bl * (1 - KAPPA)
+        )} ${c(x)},${c(y + h - bl)}`;
+    }
+    d += `L${c(x)},${c(y + tl)}`;
+    if (tl) {
+        d += `C${c(x)},${c(y + tl * (1 - KAPPA))} ${c(x + tl * (1 - KAPPA))},${c(
+            y
+        )} ${c(x + tl)},${c(y)}`;
+    }
+    return `${d}Z`;
+}
+
+/**
+ * Builds the path data for a circle.
+ *
+ * @param {number} cx - Center X
+ * @param {number} cy - Center Y
+ * @param {number} r - Radius
+ * @returns {string} Path data
+ */
+function circlePath(cx, cy, r) {
+    return roundedRectPath(cx - r, cy - r, 2 * r, 2 * r, [r, r, r, r]);
+}
+
+/**
+ * Creates a lookup telling whether the module at (row, col) should be drawn
+ * as a dark module. Out-of-range cells and cells rejected by `skipCell`
+ * (e.g. the logo safe zone) count as light.
+ *
+ * @param {Object} qrCode - The QR code object returned by `QRCode.create`
+ * @param {function(number, number): boolean} [skipCell] - Returns true for cells that must stay empty
+ * @returns {function(number, number): boolean}
+ */
+function createDarkModuleTest(qrCode, skipCell = () => false) {
+    const size = qrCode.modules.size;
+    return (row, col) =>
+        row >= 0 &&
+        col >= 0 &&
+        row < size &&
+        col < size &&
+        Boolean(qrCode.modules.data[row * size + col]) &&
+        !skipCell(row, col);
+}
+
+/**
+ * Builds one path containing every dark module in the selected style.
+ * Drawing everything as a single path avoids hairline gaps between
+ * neighbouring modules, on the canvas and in SVG viewers alike.
+ *
+ * @param {function(number, number): boolean} isDark - Lookup from createDarkModuleTest
+ * @param {number} size - Number of modules per side
+ * @param {number} originX - X coordinate of the top-left module
+ * @param {number} originY - Y coordinate of the top-left module
+ * @param {number} cellSize - Size of a single module
+ * @param {string} style - "square", "circle", "rounded", "liquid", "vbars" or "hbars"
+ * @returns {string} Path data
+ */
+function buildModulesPath(isDark, size, originX, originY, cellSize, style) {
+    const cellX = (col) => originX + col * cellSize;
+    const cellY = (row) => originY + row * cellSize;
+    let d = "";
+
+    if (style === "vbars" || style === "hbars") {
+        // Merge runs of dark modules into capsules along one axis
+        const vertical = style === "vbars";
+        const inset = cellSize * 0.1;
+        const thickness = cellSize - 2 * inset;
+        const radius = thickness / 2;
+
+        for (let line = 0; line < size; line++) {
+            let runStart = -1;
+            for (let pos = 0; pos <= size; pos++) {
+                const dark =
+                    pos < size &&
+                    (vertical ? isDark(pos, line) : isDark(line, pos));
+                if (dark && runStart < 0) runStart = pos;
+                if (!dark && runStart >= 0) {
+                    const length = (pos - runStart) * cellSize - 2 * inset;
+                    d += vertical
+                        ? roundedRectPath(
+                              cellX(line) + inset,
+                              cellY(runStart) + inset,
+                              thickness,
+                              length,
+                              [radius, radius, radius, radius]
+                          )
+                        : roundedRectPath(
+                              cellX(runStart) + inset,
+                              cellY(line) + inset,
+                              length,
+                              thickness,
+                              [radius, radius, radius, radius]
+                          );
+                    runStart = -1;
+                }
+            }
+        }
+        return d;
+    }
+
+    if (style === "square") {
+        // Merge horizontal runs into single rectangles to keep the path short
+        for (let row = 0; row < size; row++) {
+            let runStart = -1;
+            for (let col = 0; col <= size; col++) {
+                const dark = col < size && isDark(row, col);
+                if (dark && runStart < 0) runStart = col;
+                if (!dark && runStart >= 0) {
+                    d += roundedRectPath(
+                        cellX(runStart),
+                        cellY(row),
+                        (col - runStart) * cellSize,
+                        cellSize
+                    );
+                    runStart = -1;
+                }
+            }
+        }
+        return d;
+    }
+
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            if (!isDark(row, col)) continue;
+
+            const x = cellX(col);
+            const y = cellY(row);
+
+            if (style === "circle") {
+                d += circlePath(
+                    x + cellSize / 2,
+                    y + cellSize / 2,
+                    cellSize * 0.45
+                );
+            } else if (style === "rounded") {
+                const r = cellSize * 0.3;
+                d += roundedRectPath(x, y, cellSize, cellSize, [r, r, r, r]);
+            } else if (style === "liquid") {
+                // Round only the outer corners, so neighbouring modules merge
+                const r = cellSize / 2;
+                const top = isDark(row - 1, col);
+                const bottom = isDark(row + 1, col);
+                const left = isDark(row, col - 1);
+                const right = isDark(row, col + 1);
+                d += roundedRectPath(x, y, cellSize, cellSize, [
+                    top || left ? 0 : r,
+                    top || right ? 0 : r,
+                    bottom || right ? 0 : r,
+                    bottom || left ? 0 : r,
+                ]);
+            } else {
+                d += roundedRectPath(x, y, cellSize, cellSize);
+            }
+        }
+    }
+    return d;
+}
+
+/** Side of a halftone dot, relative to the module size. */
+const HALFTONE_DOT_RATIO = 0.4;
+
+/**
+ * Builds the paths of a halftone code: every data module shrinks to a dot in
+ * its centre (where scanners sample it) in the dark or the light color, so a
+ * background image shows between the dots. Function patterns (timing,
+ * alignment, format and version information) keep their full size, and the
+ * finder pattern cells get a light backing for the eyes drawn on top.
+ *
+ * @param {Object} qrCode - The QR code object returned by `QRCode.create`
+ * @param {function(number, number): boolean} isFinderCell - Lookup from createFinderCellTest
+ * @param {function(number, number): boolean} skipCell - Returns true for cells that must stay empty
+ * @param {number} originX - X coordinate of the top-left module
+ * @param {number} originY - Y coordinate of the top-left module
+ * @param {number} cellSize - Size of a single module
+ * @param {boolean} round - Draw round dots instead of square ones
+ * @returns {{dark: string, light: string}} Path data per color
+ */
+function buildHalftonePaths(
+    qrCode,
+    isFinderCell,
+    skipCell,
+    originX,
+    originY,
+    cellSize,
+    round
+) {
+    const { size } = qrCode.modules;
+    const dot = cellSize * HALFTONE_DOT_RATIO;
+    const inset = (cellSize - dot) / 2;
+    let dark = "";
+    let light = "";
+
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            if (skipCell(row, col)) continue;
+
+            const x = originX + col * cellSize;
+            const y = originY + row * cellSize;
+            if (isFinderCell(row, col)) {
+                light += roundedRectPath(x, y, cellSize, cellSize);
+                continue;
+            }
+
+            let d;
+            if (qrCode.modules.isReserved(row, col)) {
+                d = roundedRectPath(x, y, cellSize, cellSize);
+            } else if (round) {
+                d = circlePath(x + cellSize / 2, y + cellSize / 2, dot / 2);
+            } else {
+                d = roundedRectPath(x + inset, y + inset, dot, dot);
+            }
+            if (qrCode.modules.get(row, col)) {
+                dark += d;
+            } else {
+                light += d;
+            }
+        }
+    }
+    return { dark, light };
+}
+
+// --------------------------------------------------------------------
+// 4. FINDER PATTERNS ("EYES")
+// --------------------------------------------------------------------
+
+/** Number of modules per side of a finder pattern. */
+const FINDER_SIZE = 7;
+
+/**
+ * Tells whether the module at (row, col) inside a 7×7 finder pattern is dark:
+ * the outer ring and the 3×3 center.
+ *
+ * @param {number} row - Row inside the pattern (0–6)
+ * @param {number} col - Column inside the pattern (0–6)
+ * @returns {boolean}
+ */
+function isFinderPatternModule(row, col) {
+    const onRing =
+        row === 0 ||
+        col === 0 ||
+        row === FINDER_SIZE - 1 ||
+        col === FINDER_SIZE - 1;
+    const inCenter = row >= 2 && row <= 4 && col >= 2 && col <= 4;
+    return onRing || inCenter;
+}
+
+/**
+ * Detects the finder patterns in the module matrix by checking the three
+ * corners where the specification places them.
+ *
+ * @param {Object} qrCode - The QR code object returned by `QRCode.create`
+ * @returns {{row: number, col: number, corner: string}[]} Top-left cell of every finder pattern found
+ */
+function findFinderPatterns(qrCode) {
+    const size = qrCode.modules.size;
+    const far = size - FINDER_SIZE;
+    const candidates = [
+        { row: 0, col: 0, corner: "top-left" },
+        { row: 0, col: far, corner: "top-right" },
+        { row: far, col: 0, corner: "bottom-left" },
+    ];
+
+    return candidates.filter(({ row, col }) => {
+        for (let r = 0; r < FINDER_SIZE; r++) {
+            for (let c = 0; c < FINDER_SIZE; c++) {
+                const bit = Boolean(
+                    qrCode.modules.data[(row + r) * size + col + c]
+                );
+                if (bit !== isFinderPatternModule(r, c)) return false;
+            }
+        }
+        return true;
+    });
+}
+
+/**
+ * Creates a lookup telling whether a module belongs to one of the finder patterns.
+ *
+ * @param {{row: number, col: number}[]} finders - Result of findFinderPatterns
+ * @returns {function(number, number): boolean}
+ */
+function createFinderCellTest(finders) {
+    return (row, col) =>
+        finders.some(
+            (finder) =>
+                row >= finder.row &&
+                row < finder.row + FINDER_SIZE &&
+                col >= finder.col &&
+                col < finder.col + FINDER_SIZE
+        );
+}
+
+/**
+ * Corner radii of a finder shape of the given size.
+ * Leaves round two opposite corners, mirrored per corner of the code so that
+ * the three eyes stay symmetric.
+ *
+ * @param {string} shape - "square", "rounded", "circle" or "leaf"
+ * @param {number} size - Width/height of the shape
+ * @param {string} corner - "top-left", "top-right" or "bottom-left"
+ * @returns {number[]} Top-left, top-right, bottom-right, bottom-left radius
+ */
+function getEyeRadii(shape, size, corner) {
+    const half = size / 2;
+    switch (shape) {
+        case "rounded":
+            return Array(4).fill(size * 0.3);
+        case "circle":
+            return Array(4).fill(half);
+        case "leaf":
+            return corner === "top-left"
+                ? [half, 0, half, 0]
+                : [0, half, 0, half];
+        default:
+            return [0, 0, 0, 0];
+    }
+}
+
+/**
+ * Builds the paths of all finder patterns: the outer rings (to be filled with
+ * the even-odd rule, so the hole stays empty) and the inner balls.
+ *
+ * @param {{row: number, col: number, corner: string}[]} finders - Result of findFinderPatterns
+ * @param {number} originX - X coordinate of the top-left module
+ * @param {number} originY - Y coordinate of the top-left module
+ * @param {number} cellSize - Size of a single module
+ * @param {string} outerShape - Shape of the 7×7 ring
+ * @param {string} innerShape - Shape of the 3×3 ball
+ * @returns {{outer: string, inner: string}} Path data
+ */
+function buildEyePaths(
+    finders,
+    originX,
+    originY,
+    cellSize,
+    outerShape,
+    innerShape
+) {
+    let outer = "";
+    let inner = "";
+
+    finders.forEach(({ row, col, corner }) => {
+        const x = originX + col * cellSize;
+        const y = originY + row * cellSize;
+
+        // Ring: 7×7 outline minus the 5×5 hole one module further in
+        const ringSize = FINDER_SIZE * cellSize;
+        const holeSize = ringSize - 2 * cellSize;
+        const ringRadii = getEyeRadii(outerShape, ringSize, corner);
+        const holeRadii = ringRadii.map((r) => Math.max(r - cellSize, 0));
+        outer += roundedRectPath(x, y, ringSize, ringSize, ringRadii);
+        outer += roundedRectPath(
+            x + cellSize,
+            y + cellSize,
+            holeSize,
+            holeSize,
+            holeRadii
+        );
+
+        // Ball: the 3×3 center
+        const ballSize = 3 * cellSize;
+        inner += roundedRectPath(
+            x + 2 * cellSize,
+            y + 2 * cellSize,
+            ballSize,
+            ballSize,
+            getEyeRadii(innerShape, ballSize, corner)
+        );
+    });
+
+    return { outer, inner };
+}
+
+// --------------------------------------------------------------------
+// 5. FILLS (SOLID COLORS & GRADIENTS)
+// --------------------------------------------------------------------
+
+/**
+ * A fill used for the modules, the eyes or the background.
+ *
+ * @typedef {Object} Paint
+ * @property {string} type - "solid", "linear" or "radial"
+ * @property {string[]} colors - Color stops, spread evenly (one color for solid fills)
+ * @property {number} angle - Direction of a linear gradient in degrees (0 = left to right, clockwise)
+ */
+
+/**
+ * @param {string} color
+ * @returns {Paint} A solid fill with the given color
+ */
+function solidPaint(color) {
+    return { type: "solid", colors: [color], angle: 0 };
+}
+
+/**
+ * Computes where a gradient starts/ends inside a box. Linear gradients run
+ * through the box center and are long enough for the corners to reach the
+ * first/last color (like CSS gradients); radial ones reach the corners too.
+ *
+ * @param {Paint} paint
+ * @param {{x: number, y: number, w: number, h: number}} box - Area covered by the fill
+ * @returns {{x1: number, y1: number, x2: number, y2: number}|{cx: number, cy: number, r: number}}
+ */
+function getGradientGeometry(paint, box) {
+    const cx = box.x + box.w / 2;
+    const cy = box.y + box.h / 2;
+
+    if (paint.type === "radial") {
+        return { cx, cy, r: Math.hypot(box.w, box.h) / 2 };
+    }
+
+    const radians = (paint.angle * Math.PI) / 180;
+    const dx = Math.cos(radians);
+    const dy = Math.sin(radians);
+    const halfLength = (Math.abs(box.w * dx) + Math.abs(box.h * dy)) / 2;
+
+    return {
+        x1: cx - dx * halfLength,
+        y1: cy - dy * halfLength,
+        x2: cx + dx * halfLength,
+        y2: cy + dy * halfLength,
+    };
+}
+
+/**
+ * Offset of the n-th of `count` evenly spread color stops (0–1).
+ *
+ * @param {number} index
+ * @param {number} count
+ * @returns {number}
+ */
+function stopOffset(index, count) {
+    return count > 1 ? index / (count - 1) : 0;
+}
+
+/**
+ * Converts a fill into a canvas fillStyle.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Paint} paint
+ * @param {{x: number, y: number, w: number, h: number}} box - Area covered by the fill
+ * @returns {string|CanvasGradient}
+ */
+function createCanvasPaint(ctx, paint, box) {
+    if (paint.type === "solid") return paint.colors[0];
+
+    const g = getGradientGeometry(paint, box);
+    const gradient =
+        paint.type === "radial"
+            ? ctx.createRadialGradient(g.cx, g.cy, 0, g.cx, g.cy, g.r)
+            : ctx.createLinearGradient(g.x1, g.y1, g.x2, g.y2);
+
+    paint.colors.forEach((color, index) => {
+        gradient.addColorStop(stopOffset(index, paint.colors.length), color);
+    });
+    return gradient;
+}
+
+/**
+ * Converts a fill into an SVG `fill` value plus the gradient definition it
+ * refers to (empty for solid colors). Coordinates use `userSpaceOnUse`, so the
+ * gradient matches the canvas rendering of the same box.
+ *
+ * @param {Paint} paint
+ * @param {{x: number, y: number, w: number, h: number}} box - Area covered by the fill
+ * @param {string} id - ID for the gradient element
+ * @returns {{fill: string, defs: string}}
+ */
+function createSvgPaint(paint, box, id) {
+    if (paint.type === "solid") return { fill: paint.colors[0], defs: "" };
+
+    const g = getGradientGeometry(paint, box);
+    const stops = paint.colors
+        .map(
+            (color, index) =>
+                `<stop offset="${stopOffset(
+                    index,
+                    paint.colors.length
+                )}" stop-color="${color}" />`
+        )
+        .join("");
+
+    const defs =
+        paint.type === "radial"
+            ? `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${g.cx}" cy="${g.cy}" r="${g.r}">${stops}</radialGradient>`
+            : `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${g.x1}" y1="${g.y1}" x2="${g.x2}" y2="${g.y2}">${stops}</linearGradient>`;
+
+    return { fill: `url(#${id})`, defs };
+}
+
+// --------------------------------------------------------------------
+// 6. RENDER OPTIONS
+// --------------------------------------------------------------------
+
+/**
+ * Every style setting of a code, as a plain object. The page builds one from
+ * its controls (see getRenderOptions in script.js), the CLI from its
+ * arguments. Colors are "#rrggbb" strings or Paint objects (for gradients).
+ *
+ * @typedef {Object} RenderOptions
+ * @property {string} errorCorrectionLevel - "L", "M", "Q" or "H"
+ * @property {number} [version] - Minimum version (1–40), or the exact one with `forceVersion`
+ * @property {boolean} forceVersion - Fail instead of using a larger version
+ * @property {number} [maskPattern] - Mask pattern (0–7), chosen automatically when undefined
+ * @property {string} mode - "numeric", "alphanumeric" or "byte", or "" for automatic segments
+ * @property {string|Paint} qrColor - Fill of the modules
+ * @property {string|Paint} bgColor - Fill of the background
+ * @property {boolean} transparent - Leave the background empty
+ * @property {string|null} backgroundImage - URL of an image drawn over the background fill
+ * @property {string} backgroundFit - How the image fills the QR area: "cover", "contain", "stretch" or "tile"
+ * @property {number} backgroundOpacity - Opacity of the image, in %
+ * @property {number} backgroundBlur - Blur radius of the image, in % of the side of the QR area
+ * @property {boolean} halftone - Shrink the data modules to dots, so the background image shows between them
+ * @property {boolean} backingPanel - Light panel over the background, for contrast
+ * @property {string} moduleStyle - "square", "circle", "rounded", "liquid", "vbars" or "hbars"
+ * @property {string} eyeOuterShape - "square", "rounded", "circle" or "leaf"
+ * @property {string} eyeInnerShape - "square", "rounded", "circle" or "leaf"
+ * @property {string|null} eyeOuterColor - Color of the eye rings (null = module fill)
+ * @property {string|null} eyeInnerColor - Color of the eye balls (null = module fill)
+ * @property {string|null} logo - URL of the logo placed in the centre: SVG, PNG, JPEG or WebP (null = no logo)
+ * @property {boolean} logoTrim - Crop transparent edges of a raster logo
+ * @property {boolean} logoRemoveWhite - Make the white background of a raster logo transparent
+ * @property {string} logoColorMode - "keep" (original colors), "qr" (monochrome in the QR color), "custom" (monochrome in `logoColor`) or "invert"
+ * @property {string} logoColor - Logo color for `logoColorMode: "custom"`
+ * @property {number} logoPadding - Space around the logo inside its area, in % of the logo size
+ * @property {number} logoScale - Side of the logo area, in % of the side of the QR area
+ * @property {string} logoShape - "circle", "square", "rounded" or "none" (no plate, no clipping)
+ * @property {string} logoPlate - Fill behind the logo: "auto" (a solid background color), "color" or "none"
+ * @property {string} logoPlateColor - Plate color for `logoPlate: "color"`
+ * @property {number} logoBorderWidth - Border along the logo shape, in % of the logo size (0 = none)
+ * @property {string} logoBorderColor - Color of the border
+ * @property {boolean} logoSafeClamp - Shrink (or leave out) a logo that covers more than the error correction can repair
+ * @property {number} quietZone - Light margin around the modules, in modules (0–10; the standard asks for 4)
+ * @property {number} rotation - Rotation of the code in degrees
+ * @property {string} caption - Text placed under the code ("" = none)
+ * @property {string} frameStyle - Frame around the code: "none", "box" (a border), "bubble" (a speech bubble) or "banner" (a border with a filled text band)
+ * @property {string} frameText - Label of the frame ("" = no label)
+ * @property {string} frameTextPosition - Side of the label: "top" or "bottom"
+ * @property {string} frameFont - Font of the label, a key of FRAME_FONTS
+ * @property {string} frameColor - Color of the border, band or bubble
+ * @property {number} framePadding - Space between the code and the frame, in % of the side of the code image
+ * @property {boolean} cropToContent - Drop the rotation padding around the code
+ */
+
+/**
+ * Defaults for missing options, matching the initial state of the page's
+ * controls (except the logo, which has to be asked for).
+ *
+ * @type {RenderOptions}
+ */
+const DEFAULT_RENDER_OPTIONS = {
+    errorCorrectionLevel: "H",
+    version: undefined,
+    forceVersion: false,
+    maskPattern: undefined,
+    mode: "",
+    qrColor: "#000000",
+    bgColor: "#ffffff",
+    transparent: false,
+    backgroundImage: null,
+    backgroundFit: "cover",
+    backgroundOpacity: 100,
+    backgroundBlur: 0,
+    halftone: false,
+    backingPanel: false,
+    moduleStyle: "square",
+    eyeOuterShape: "square",
+    eyeInnerShape: "square",
+    eyeOuterColor: null,
+    eyeInnerColor: null,
+    logo: null,
+    logoTrim: false,
+    logoRemoveWhite: false,
+    logoColorMode: "keep",
+    logoColor: "#000000",
+    logoPadding: 0,
+    logoScale: 20,
+    logoShape: "circle",
+    logoPlate: "auto",
+    logoPlateColor: "#ffffff",
+    logoBorderWidth: 0,
+    logoBorderColor: "#000000",
+    logoSafeClamp: true,
+    quietZone: 4,
+    rotation: 0,
+    caption: "",
+    frameStyle: "none",
+    frameText: "Zeskanuj mnie",
+    frameTextPosition: "bottom",
+    frameFont: "averta",
+    frameColor: "#000000",
+    framePadding: 4,
+    cropToContent: false,
+};
+
+/**
+ * Fills in the defaults for missing options and turns color strings into
+ * solid Paints.
+ *
+ * @param {Partial<RenderOptions>} [options]
+ * @returns {RenderOptions}
+ */
+function resolveRenderOptions(options = {}) {
+    const resolved = { ...DEFAULT_RENDER_OPTIONS };
+    Object.entries(options).forEach(([key, value]) => {
+        if (value !== undefined) resolved[key] = value;
+    });
+
+    const toPaint = (color) =>
+        typeof color === "string" ? solidPaint(color) : color;
+    resolved.qrColor = toPaint(resolved.qrColor);
+    resolved.bgColor = toPaint(resolved.bgColor);
+    resolved.rotation = Number(resolved.rotation) || 0;
+    resolved.backgroundOpacity = Math.min(
+        Math.max(Number(resolved.backgroundOpacity) || 0, 0),
+        100
+    );
+    resolved.backgroundBlur = Math.min(
+        Math.max(Number(resolved.backgroundBlur) || 0, 0),
+        MAX_BACKGROUND_BLUR
+    );
+    resolved.logoPadding = Math.min(
+        Math.max(Number(resolved.logoPadding) || 0, 0),
+        MAX_LOGO_PADDING
+    );
+    resolved.logoScale = Math.min(
+        Math.max(Number(resolved.logoScale) || 0, MIN_LOGO_SCALE),
+        MAX_LOGO_SCALE
+    );
+    resolved.logoBorderWidth = Math.min(
+        Math.max(Number(resolved.logoBorderWidth) || 0, 0),
+        MAX_LOGO_BORDER
+    );
+    resolved.quietZone = Math.min(
+        Math.max(Math.round(Number(resolved.quietZone)) || 0, 0),
+        MAX_QUIET_ZONE
+    );
+    resolved.framePadding = Math.min(
+        Math.max(Number(resolved.framePadding) || 0, 0),
+        MAX_FRAME_PADDING
+    );
+    return resolved;
+}
+
+// --------------------------------------------------------------------
+// 7. SCENE MODEL
+// --------------------------------------------------------------------
+
+/** Widest quiet zone, in modules. */
+const MAX_QUIET_ZONE = 10;
+
+/** Safe zone around the logo, relative to the logo size. */
+const safeZoneRatio = 1.1;
+
+/** Smallest and largest logo, in % of the side of the QR area. */
+const MIN_LOGO_SCALE = 5;
+const MAX_LOGO_SCALE = 40;
+
+/**
+ * Share of each block's error correction the logo may use up; the rest is
+ * left for print defects, glare and blur.
+ */
+const LOGO_EC_BUDGET = 0.75;
+
+/** Largest logo padding and border width, in % of the logo size. */
+const MAX_LOGO_PADDING = 40;
+const MAX_LOGO_BORDER = 10;
+
+/** Corner radius of the "rounded" logo shape, relative to the logo size. */
+const LOGO_CORNER_RATIO = 0.2;
+
+/** Height of the optional caption band, relative to the code image size. */
+const CAPTION_RATIO = 0.12;
+
+/** Largest space between the code and its frame, in % of the code image. */
+const MAX_FRAME_PADDING = 20;
+
+/**
+ * Sizes of the frame parts, relative to the side of the code image: the
+ * border, the label band, the corner radius and the speech bubble's tail.
+ */
+const FRAME_BORDER_RATIO = 0.025;
+const FRAME_TEXT_RATIO = 0.14;
+const FRAME_CORNER_RATIO = 0.06;
+const FRAME_TAIL_RATIO = 0.04;
+
+/** Frame styles other than "none". */
+const FRAME_STYLES = ["box", "bubble", "banner"];
+
+/** Font stacks the frame label can use. */
+const FRAME_FONTS = {
+    averta: "Averta, sans-serif",
+    sans: "Arial, Helvetica, sans-serif",
+    serif: "Georgia, 'Times New Roman', serif",
+    mono: "'Courier New', monospace",
+};
+
+/** Largest background image blur, in % of the side of the QR area. */
+const MAX_BACKGROUND_BLUR = 5;
+
+/** Number of tiles per side of a tiled background image. */
+const BACKGROUND_TILE_COUNT = 4;
+
+/** Color of the light backing panel drawn behind the modules. */
+const BACKING_PANEL_COLOR = "rgba(255, 255, 255, 0.85)";
+
+/** Side of the QR area (the code plus its margin) in scene units. */
+const SCENE_AREA_SIZE = 1000;
+
+/**
+ * A resolution-independent description of a styled QR code, shared by the
+ * preview and every export (PNG/JPEG/WebP, SVG and PDF), so that they can't
+ * drift apart. Coordinates are scene units: the QR area is a square of side
+ * `areaSize` with its origin at the top-left corner, drawn rotated by
+ * `rotation` degrees around the centre of the square code image at `code`.
+ * Without a frame the code image starts at (0, 0) and fills the width.
+ *
+ * @typedef {Object} Scene
+ * @property {number} width - Width of the image
+ * @property {number} height - Height of the image (including the frame and the caption band)
+ * @property {{x: number, y: number, size: number}} code - Position and side of the code image
+ * @property {number} areaSize - Side of the QR area
+ * @property {number} quietZone - Width of the quiet zone inside the QR area, around the modules
+ * @property {number} rotation - Rotation of the QR area in degrees
+ * @property {{paint: Paint, image: {src: string, fit: string, opacity: number, blur: number}|null}|null} background - Fill of the QR area and the image over it (null = transparent); `opacity` is 0–1, `blur` in scene units
+ * @property {string|null} backingPanel - Color of the contrast panel over the background
+ * @property {{id: string, path: string, paint: Paint, box: Object, evenOdd: boolean}[]} shapes - Light halftone dots, modules and eyes, painted in order
+ * @property {{src: string, size: number, padding: number, trim: boolean, removeWhite: boolean, recolor: string, color: string, shape: string, backgroundColor: string|null, borderWidth: number, borderColor: string}|null} logo - Upright logo in the centre; `recolor` is "keep", "mono" (in `color`) or "invert"
+ * @property {Frame|null} frame - Frame around the code image
+ * @property {{text: string, color: string, height: number}|null} caption - Text in a band below the code (and the frame)
+ */
+
+/**
+ * The frame drawn around the code image. All of it lies outside the code
+ * image, so the quiet zone of the code is never covered.
+ *
+ * @typedef {Object} Frame
+ * @property {string|null} backdrop - Fill of the frame's interior, behind the code (null = transparent)
+ * @property {string} outline - Path of the frame's outer edge (the area the backdrop fills)
+ * @property {{path: string, color: string, evenOdd: boolean}[]} shapes - Border, band, bubble and tail, painted in order
+ * @property {{value: string, x: number, y: number, size: number, maxWidth: number, color: string, font: string}|null} text - The label, centred on (x, y)
+ */
+
+/**
+ * Divides the side of the QR area into the modules and a quiet zone of the
+ * given number of modules on each side.
+ *
+ * @param {Object} qrCode - The QR code object returned by `QRCode.create`
+ * @param {number} areaSize - Side of the QR area
+ * @param {number} quietZone - Quiet zone in modules
+ * @returns {{marginPx: number, usableSize: number, cellSize: number}} Width of the quiet zone, side of the modules and of one module
+ */
+function getModuleGrid(qrCode, areaSize, quietZone) {
+    const cellSize = areaSize / (qrCode.modules.size + 2 * quietZone);
+    const marginPx = quietZone * cellSize;
+    return { marginPx, usableSize: areaSize - 2 * marginPx, cellSize };
+}
+
+/**
+ * Creates a test for the modules that overlap the "safe zone" kept empty
+ * around a logo of the given scale.
+ *
+ * @param {Object} qrCode - The QR code object returned by `QRCode.create`
+ * @param {number} logoScale - Logo size in % of the side of the QR area
+ * @param {number} quietZone - Quiet zone in modules
+ * @returns {function(number, number): boolean} (row, col) => inside the safe zone
+ */
+function createSafeZoneTest(qrCode, logoScale, quietZone) {
+    const { marginPx, usableSize, cellSize } = getModuleGrid(
+        qrCode,
+        SCENE_AREA_SIZE,
+        quietZone
+    );
+
+    const safeZone = ((SCENE_AREA_SIZE * logoScale) / 100) * safeZoneRatio;
+    const logoStart = marginPx + (usableSize - safeZone) / 2;
+    const logoEnd = logoStart + safeZone;
+
+    return (row, col) => {
+        const x = marginPx + col * cellSize;
+        const y = marginPx + row * cellSize;
+        return !(
+            x + cellSize < logoStart ||
+            x > logoEnd ||
+            y + cellSize < logoStart ||
+            y > logoEnd
+        );
+    };
+}
+
+/**
+ * Checks whether the code can still be read with a logo of the given scale:
+ * the modules under its safe zone count as lost, and no error correction
+ * block may need more than LOGO_EC_BUDGET of what it can repair to restore
+ * its damaged codewords.
+ *
+ * @param {Object} qrCode - The QR code object returned by `QRCode.create`
+ * @param {number} logoScale - Logo size in % of the side of the QR area
+ * @param {number} quietZone - Quiet zone in modules
+ * @param {ReturnType<typeof getCodewordLayout>} [layout] - Reused between calls
+ * @returns {boolean}
+ */
+function isLogoScaleRecoverable(
+    qrCode,
+    logoScale,
+    quietZone,
+    layout = getCodewordLayout(qrCode)
+) {
+    const { size } = qrCode.modules;
+    const isInSafeZone = createSafeZoneTest(qrCode, logoScale, quietZone);
+    const damaged = new Set();
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            const codeword = layout.moduleCodewords[row * size + col];
+            if (codeword >= 0 && isInSafeZone(row, col)) damaged.add(codeword);
+        }
+    }
+
+    const damagedPerBlock = new Array(layout.blockCount).fill(0);
+    damaged.forEach((codeword) => {
+        damagedPerBlock[layout.codewordBlocks[codeword]]++;
+    });
+    const budget = Math.floor(layout.correctable * LOGO_EC_BUDGET);
+    return damagedPerBlock.every((count) => count <= budget);
+}
+
+/**
+ * Finds the largest logo (in whole percent, up to MAX_LOGO_SCALE) the error
+ * correction level and version of the code can make up for. A wider quiet
+ * zone leaves less of the area to the modules, so the same logo covers more.
+ *
+ * @param {Object} qrCode - The QR code object returned by `QRCode.create`
+ * @param {number} [quietZone] - Quiet zone in modules
+ * @returns {number} Logo scale in %, or 0 when not even MIN_LOGO_SCALE is safe
+ */
+function getMaxLogoScale(qrCode, quietZone = DEFAULT_RENDER_OPTIONS.quietZone) {
+    const layout = getCodewordLayout(qrCode);
+    let maxScale = 0;
+    // A larger logo only ever covers more modules, so stop at the first failure
+    for (let scale = MIN_LOGO_SCALE; scale <= MAX_LOGO_SCALE; scale++) {
+        if (!isLogoScaleRecoverable(qrCode, scale, quietZone, layout)) break;
+        maxScale = scale;
+    }
+    return maxScale;
+}
+
+/**
+ * The logo scale a code is actually drawn with: the chosen one, reduced to
+ * the safe maximum when `logoSafeClamp` is on.
+ *
+ * @param {Object} qrCode - The QR code object returned by `QRCode.create`
+ * @param {RenderOptions} options - Resolved options (see resolveRenderOptions)
+ * @returns {number} Logo scale in %, or 0 for no logo
+ */
+function getEffectiveLogoScale(qrCode, options) {
+    if (!options.logo) return 0;
+    if (!options.logoSafeClamp) return options.logoScale;
+    const maxScale = getMaxLogoScale(qrCode, options.quietZone);
+    return maxScale < MIN_LOGO_SCALE
+        ? 0
+        : Math.min(options.logoScale, maxScale);
+}
+
+/**
+ * Lays out the modules and finder patterns of a QR code inside a square area
+ * with its origin at (0, 0), keeping the logo safe zone empty when a logo is
+ * included. In halftone mode the modules become dots (see
+ * buildHalftonePaths) and `lightPath` holds the light ones.
+ *
+ * @param {Object} qrCode - The QR code object returned by `QRCode.create`
+ * @param {number} areaSize - Side of the area
+ * @param {RenderOptions} options - Resolved options (see resolveRenderOptions)
+ * @param {number} logoScale - Logo size in % of the side of the area (0 = no logo)
+ * @param {boolean} [halftone] - Draw the modules as halftone dots
+ * @returns {{modulesPath: string, lightPath: string, eyePaths: {outer: string, inner: string}, modulesBox: {x: number, y: number, w: number, h: number}, logoSize: number}}
+ */
+function layoutQrArea(qrCode, areaSize, options, logoScale, halftone = false) {
+    const { marginPx, usableSize, cellSize } = getModuleGrid(
+        qrCode,
+        areaSize,
+        options.quietZone
+    );
+    const logoSize = (areaSize * logoScale) / 100;
+
+    // Finder patterns are drawn separately, and if the user wants a logo,
+    // cells overlapping its safe zone stay empty
+    const isInSafeZone = createSafeZoneTest(
+        qrCode,
+        logoScale,
+        options.quietZone
+    );
+    const finders = findFinderPatterns(qrCode);
+    const isFinderCell = createFinderCellTest(finders);
+    const isLogoCell = (row, col) => logoScale > 0 && isInSafeZone(row, col);
+
+    let modulesPath;
+    let lightPath = "";
+    if (halftone) {
+        const paths = buildHalftonePaths(
+            qrCode,
+            isFinderCell,
+            isLogoCell,
+            marginPx,
+            marginPx,
+            cellSize,
+            options.moduleStyle === "circle"
+        );
+        // Scanners need a light quiet zone to find the code in the photo
+        modulesPath = paths.dark;
+        lightPath = paths.light;
+        if (marginPx > 0) {
+            lightPath +=
+                roundedRectPath(0, 0, areaSize, marginPx) +
+                roundedRectPath(0, areaSize - marginPx, areaSize, marginPx) +
+                roundedRectPath(0, marginPx, marginPx, usableSize) +
+                roundedRectPath(
+                    areaSize - marginPx,
+                    marginPx,
+                    marginPx,
+                    usableSize
+                );
+        }
+    } else {
+        // Bars split the alignment patterns into capsules with gaps, and
+        // dots shrink their dark rings, which breaks the 1:1:1 ratio
+        // scanners look for, so function patterns stay square in these styles
+        const squareFunctionPatterns = ["vbars", "hbars", "circle"].includes(
+            options.moduleStyle
+        );
+        const isSquareCell = (row, col) =>
+            squareFunctionPatterns && qrCode.modules.isReserved(row, col);
+        const isDark = createDarkModuleTest(
+            qrCode,
+            (row, col) =>
+                isFinderCell(row, col) ||
+                isLogoCell(row, col) ||
+                isSquareCell(row, col)
+        );
+        const isSquareDark = createDarkModuleTest(
+            qrCode,
+            (row, col) =>
+                !isSquareCell(row, col) ||
+                isFinderCell(row, col) ||
+                isLogoCell(row, col)
+        );
+        // Use a single path to avoid gaps between adjacent modules
+        modulesPath =
+            buildModulesPath(
+                isDark,
+                qrCode.modules.size,
+                marginPx,
+                marginPx,
+                cellSize,
+                options.moduleStyle
+            ) +
+            (squareFunctionPatterns
+                ? buildModulesPath(
+                      isSquareDark,
+                      qrCode.modules.size,
+                      marginPx,
+                      marginPx,
+                      cellSize,
+                      "square"
+                  )
+                : "");
+    }
+
+    const eyePaths = buildEyePaths(
+        finders,
+        marginPx,
+        marginPx,
+        cellSize,
+        options.eyeOuterShape,
+        options.eyeInnerShape
+    );
+
+    return {
+        modulesPath,
+        lightPath,
+        eyePaths,
+        modulesBox: { x: marginPx, y: marginPx, w: usableSize, h: usableSize },
+        logoSize,
+    };
+}
+
+/**
+ * Lays out the frame around a code image of the given side: the image grows
+ * by the padding, the border and the label band, and the code image moves to
+ * (codeX, codeY). Box and banner put the label inside the border (the banner
+ * on a filled band), the speech bubble puts it in a bubble whose tail points
+ * at the code.
+ *
+ * @param {RenderOptions} options - Resolved options (see resolveRenderOptions)
+ * @param {number} codeSize - Side of the code image
+ * @param {string|null} backdrop - Fill of the frame's interior (null = transparent)
+ * @returns {{width: number, height: number, codeX: number, codeY: number, frame: Frame}|null} null for no frame
+ */
+function layoutFrame(options, codeSize, backdrop) {
+    const style = options.frameStyle;
+    if (!FRAME_STYLES.includes(style)) return null;
+    const pad = Math.round((codeSize * options.framePadding) / 100);
+    const band = options.frameText
+        ? Math.round(codeSize * FRAME_TEXT_RATIO)
+        : 0;
+    const radius = Math.round(codeSize * FRAME_CORNER_RATIO);
+    const top = options.frameTextPosition === "top";
+    const color = options.frameColor;
+    let width;
+    let height;
+    const label = (y, maxWidth, textColor) =>
+        band
+            ? {
+                  value: options.frameText,
+                  x: width / 2,
+                  y: y + band / 2,
+                  size: band * 0.6,
+                  maxWidth: maxWidth * 0.9,
+                  color: textColor,
+                  font: FRAME_FONTS[options.frameFont] || FRAME_FONTS.averta,
+              }
+            : null;
+
+    if (style === "bubble") {
+        const tail = band ? Math.round(codeSize * FRAME_TAIL_RATIO) : 0;
+        width = codeSize + 2 * pad;
+        height = width + tail + band;
+        const codeY = pad + (top ? band + tail : 0);
+        const bubbleY = top ? pad : codeY + codeSize + tail;
+        const shapes = [];
+        if (band) {
+            // The tail's tip touches the code image and its base reaches
+            // into the bubble, so the two merge into one shape
+            const tip = top ? codeY : codeY + codeSize;
+            const base = top ? bubbleY + band - 1 : bubbleY + 1;
+            const r = Math.min(radius, band / 2);
+            shapes.push(
+                {
+                    path: roundedRectPath(pad, bubbleY, codeSize, band, [
+                        r,
+                        r,
+                        r,
+                        r,
+                    ]),
+                    color,
+                    evenOdd: false,
+                },
+                {
+                    path: `M${width / 2},${tip}L${width / 2 + tail},${base}L${
+                        width / 2 - tail
+                    },${base}Z`,
+                    color,
+                    evenOdd: false,
+                }
+            );
+        }
+        return {
+            width,
+            height,
+            codeX: pad,
+            codeY,
+            frame: {
+                backdrop,
+                outline: roundedRectPath(0, 0, width, height),
+                shapes,
+                text: label(bubbleY, codeSize, getFrameTextColor(color)),
+            },
+        };
+    }
+
+    const border = Math.round(codeSize * FRAME_BORDER_RATIO);
+    const inset = border + pad;
+    width = codeSize + 2 * inset;
+    height = width + band;
+    const bandY = top ? border : height - border - band;
+    const outline = roundedRectPath(0, 0, width, height, [
+        radius,
+        radius,
+        radius,
+        radius,
+    ]);
+    const inner = Math.max(radius - border, 0);
+    const shapes = [
+        {
+            path:
+                outline +
+                roundedRectPath(
+                    border,
+                    border,
+                    width - 2 * border,
+                    height - 2 * border,
+                    [inner, inner, inner, inner]
+                ),
+            color,
+            evenOdd: true,
+        },
+    ];
+    const banner = style === "banner" && band > 0;
+    if (banner) {
+        // The band runs into the border on its side of the frame
+        shapes.push({
+            path: top
+                ? roundedRectPath(0, 0, width, border + band, [
+                      radius,
+                      radius,
+                      0,
+                      0,
+                  ])
+                : roundedRectPath(0, bandY, width, border + band, [
+                      0,
+                      0,
+                      radius,
+                      radius,
+                  ]),
+            color,
+            evenOdd: false,
+        });
+    }
+    return {
+        width,
+        height,
+        codeX: inset,
+        codeY: inset + (top ? band : 0),
+        frame: {
+            backdrop,
+            outline,
+            shapes,
+            text: label(
+                bandY,
+                width - 2 * border,
+                banner ? getFrameTextColor(color) : color
+            ),
+        },
+    };
+}
+
+/**
+ * Black or white, whichever reads better on a filled frame part.
+ *
+ * @param {string} color - CSS color of the band or bubble
+ * @returns {string}
+ */
+function getFrameTextColor(color) {
+    const rgb = parseCssColor(color);
+    if (!rgb) return "#ffffff";
+    const [r, g, b] = [rgb.r, rgb.g, rgb.b].map((channel) => {
+        const c = channel / 255;
+        return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    // Above this luminance black text has the higher contrast
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.179 ? "#000000" : "#ffffff";
+}
+
+/**
+ * Builds the scene for the given text from a set of style options.
+ * Throws (like createQrCode) if the text can't be encoded.
+ *
+ * @param {string} text - The text/URL to encode
+ * @param {Partial<RenderOptions>} [renderOptions] - Missing options use DEFAULT_RENDER_OPTIONS
+ * @returns {Scene}
+ */
+function buildScene(text, renderOptions) {
+    const options = resolveRenderOptions(renderOptions);
+    const qrCode = createQrCode(text, options);
+    const areaSize = SCENE_AREA_SIZE;
+    // A frame hugs the code, so it always uses the tight rotation bounds
+    const codeSize = Math.ceil(
+        areaSize *
+            getRotationExpansion(
+                options.rotation,
+                options.cropToContent ||
+                    FRAME_STYLES.includes(options.frameStyle)
+            )
+    );
+    const logoScale = getEffectiveLogoScale(qrCode, options);
+
+    let background = null;
+    if (!options.transparent) {
+        background = {
+            paint: options.bgColor,
+            image: options.backgroundImage
+                ? {
+                      src: options.backgroundImage,
+                      fit: options.backgroundFit,
+                      opacity: options.backgroundOpacity / 100,
+                      blur: (areaSize * options.backgroundBlur) / 100,
+                  }
+                : null,
+        };
+    }
+
+    const layout = layoutFrame(
+        options,
+        codeSize,
+        background && !background.image && background.paint.type === "solid"
+            ? background.paint.colors[0]
+            : null
+    ) || {
+        width: codeSize,
+        height: codeSize,
+        codeX: 0,
+        codeY: 0,
+        frame: null,
+    };
+    const { caption } = options;
+    const captionHeight = caption
+        ? Math.round(layout.width * CAPTION_RATIO)
+        : 0;
+
+    // Halftone dots only make sense with an image to show between them
+    const halftone = options.halftone && Boolean(background?.image);
+    const { modulesPath, lightPath, eyePaths, modulesBox, logoSize } =
+        layoutQrArea(qrCode, areaSize, options, logoScale, halftone);
+
+    // Eyes use the module fill unless they have their own colors
+    const qrPaint = options.qrColor;
+    const mainColor = qrPaint.colors[0];
+    const eyeOuterPaint = options.eyeOuterColor
+        ? solidPaint(options.eyeOuterColor)
+        : qrPaint;
+    const eyeInnerPaint = options.eyeInnerColor
+        ? solidPaint(options.eyeInnerColor)
+        : qrPaint;
+
+    return {
+        width: layout.width,
+        height: layout.height + captionHeight,
+        code: { x: layout.codeX, y: layout.codeY, size: codeSize },
+        areaSize,
+        quietZone: modulesBox.x,
+        rotation: options.rotation,
+        background,
+        backingPanel: options.backingPanel ? BACKING_PANEL_COLOR : null,
+        shapes: [
+            ...(halftone
+                ? [
+                      {
+                          id: "qrHalftoneLightFill",
+                          path: lightPath,
+                          paint: solidPaint(options.bgColor.colors[0]),
+                          box: modulesBox,
+                          evenOdd: false,
+                      },
+                  ]
+                : []),
+            {
+                id: "qrModulesFill",
+                path: modulesPath,
+                paint: qrPaint,
+                box: modulesBox,
+                evenOdd: false,
+            },
+            {
+                id: "qrEyeOuterFill",
+                path: eyePaths.outer,
+                paint: eyeOuterPaint,
+                box: modulesBox,
+                evenOdd: true,
+            },
+            {
+                id: "qrEyeInnerFill",
+                path: eyePaths.inner,
+                paint: eyeInnerPaint,
+                box: modulesBox,
+                evenOdd: false,
+            },
+        ],
+        logo: logoScale
+            ? {
+                  src: options.logo,
+                  size: logoSize,
+                  padding: (logoSize * options.logoPadding) / 100,
+                  trim: options.logoTrim,
+                  removeWhite: options.logoRemoveWhite,
+                  recolor:
+                      options.logoColorMode === "qr" ||
+                      options.logoColorMode === "custom"
+                          ? "mono"
+                          : options.logoColorMode,
+                  color:
+                      options.logoColorMode === "custom"
+                          ? options.logoColor
+                          : mainColor,
+                  shape: options.logoShape,
+                  backgroundColor: getLogoPlateColor(options, background),
+                  borderWidth:
+                      options.logoShape === "none"
+                          ? 0
+                          : (logoSize * options.logoBorderWidth) / 100,
+                  borderColor: options.logoBorderColor,
+              }
+            : null,
+        frame: layout.frame,
+        caption: caption
+            ? {
+                  text: caption,
+                  color: mainColor,
+                  height: captionHeight,
+              }
+            : null,
+    };
+}
+
+/**
+ * The color of the plate behind the logo, or null for none.
+ *
+ * @param {RenderOptions} options - Resolved options (see resolveRenderOptions)
+ * @param {Scene["background"]} background
+ * @returns {string|null}
+ */
+function getLogoPlateColor(options, background) {
+    if (options.logoShape === "none" || options.logoPlate === "none") {
+        return null;
+    }
+    if (options.logoPlate === "color") return options.logoPlateColor;
+    // A flat plate would cover a gradient or image
+    return background && !background.image && background.paint.type === "solid"
+        ? background.paint.colors[0]
+        : null;
+}
+
+/**
+ * How much larger than the QR area the image must be so the code fits when
+ * rotated: sqrt(2) fits any angle (the preview framing), while `tight` uses
+ * the bounding box of the given angle only.
+ *
+ * @param {number} rotation - Rotation of the code in degrees
+ * @param {boolean} [tight]
+ * @returns {number}
+ */
+function getRotationExpansion(rotation, tight = false) {
+    if (!tight) return Math.SQRT2;
+    const radians = (rotation * Math.PI) / 180;
+    return Math.max(
+        Math.abs(Math.cos(radians)) + Math.abs(Math.sin(radians)),
+        1
+    );
+}
+
+// --------------------------------------------------------------------
+// 8. SVG LOGO MARKUP (SANITIZING & RECOLORING)
+// --------------------------------------------------------------------
+
+/**
+ * A node of a parsed SVG document. Elements keep their attributes in order
+ * and text nodes their content, both with the entity references decoded;
+ * CDATA sections are kept as written.
+ *
+ * @typedef {Object} SvgNode
+ * @property {string} type - "document", "element", "text", "cdata", "comment", "instruction" or "doctype"
+ * @property {string} [name] - Tag name of an element, with its prefix
+ * @property {string[][]} [attributes] - [name, value] pairs of an element
+ * @property {SvgNode[]} [children] - Children of the document or an element
+ * @property {string} [text] - Content of the other node types
+ */
+
+/** Prefix of the element ids of a logo embedded in an SVG export. */
+const LOGO_ID_PREFIX = "qrLogo-";
+
+/** Elements removed from logos, by local name, with the report label. */
+const SVG_BLOCKED_ELEMENTS = {
+    script: "skrypty",
+    handler: "skrypty",
+    listener: "skrypty",
+    foreignobject: "elementy foreignObject",
+    iframe: "osadzone dokumenty",
+    embed: "osadzone dokumenty",
+    object: "osadzone dokumenty",
+    audio: "osadzone dokumenty",
+    video: "osadzone dokumenty",
+    // The preview can't play animations, and `set` can rewrite links
+    animate: "animacje",
+    animatecolor: "animacje",
+    animatemotion: "animacje",
+    animatetransform: "animacje",
+    set: "animacje",
+    discard: "animacje",
+};
+
+/** Data URIs a logo may embed: raster images only (no nested SVG documents). */
+const SAFE_DATA_URI_PATTERN = /^data:image\/(png|jpeg|gif|webp);/i;
+
+const SVG_TAG_PATTERN =
+    /<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const SVG_ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const SVG_END_TAG_PATTERN = /<\/([^\s>]+)\s*>/y;
+const SVG_DOCTYPE_PATTERN = /<!DOCTYPE[^[>]*(?:\[[\s\S]*?\])?\s*>/iy;
+
+/** Entity declarations of a DOCTYPE that can be expanded as plain text. */
+const SVG_TEXT_ENTITY_PATTERN =
+    /<!ENTITY\s+([^\s%"'>]+)\s+(?:"([^"]*)"|'([^']*)')\s*>/g;
+
+/**
+ * Decodes the character references and entity references of an attribute
+ * value or a text node. Without a DTD any other reference (and a bare "&")
+ * makes the document malformed, so it is rejected rather than passed on.
+ *
+ * @param {string} value
+ * @param {Object<string, string>} [entities] - Entities declared by the DOCTYPE
+ * @returns {string}
+ * @throws {Error} With a user-facing message for an unknown reference
+ */
+function decodeXmlEntities(value, entities = {}) {
+    const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+    return value.replace(
+        /&(?:#x([0-9a-f]+)|#(\d+)|([^\s&;<>"']+))?(;?)/gi,
+        (reference, hex, decimal, name, semicolon) => {
+            const point = hex
+                ? parseInt(hex, 16)
+                : decimal
+                ? parseInt(decimal, 10)
+                : 0;
+            if (semicolon && point > 0 && point <= 0x10ffff) {
+                return String.fromCodePoint(point);
+            }
+            if (semicolon && Object.hasOwn(named, name)) return named[name];
+            if (semicolon && Object.hasOwn(entities, name)) {
+                return entities[name];
+            }
+            throw new Error(
+                `Plik logo zawiera nieznane odwołanie do encji: ${reference}`
+            );
+        }
+    );
+}
+
+/**
+ * Reads the entities declared in the internal subset of a DOCTYPE, e.g. the
+ * `<!ENTITY ns_svg "http://www.w3.org/2000/svg">` of Illustrator exports, so
+ * the parser can expand them before the sanitizer drops the DOCTYPE. Only
+ * plain text values are accepted: external and parameter entities and values
+ * holding markup or further references are rejected, which also rules out
+ * nested expansion ("billion laughs").
+ *
+ * @param {string} doctype - The whole DOCTYPE declaration
+ * @returns {Object<string, string>}
+ * @throws {Error} With a user-facing message for other declarations
+ */
+function parseDoctypeEntities(doctype) {
+    const subset = /\[([\s\S]*)\]/.exec(doctype)?.[1] ?? "";
+    const declarations = subset.match(/<!ENTITY\b/gi) || [];
+    const expandable = [...subset.matchAll(SVG_TEXT_ENTITY_PATTERN)]
+        .map(([, name, double, single]) => [name, double ?? single])
+        .filter(
+            ([, value]) =>
+                !/%|&(?!#)/.test(value) &&
+                !/[<&]/.test(decodeXmlEntities(value))
+        );
+    if (expandable.length !== declarations.length) {
+        throw new Error(
+            "Plik logo deklaruje encje, których nie można bezpiecznie rozwinąć (DOCTYPE)."
+        );
+    }
+    return Object.fromEntries(
+        expandable.map(([name, value]) => [name, decodeXmlEntities(value)])
+    );
+}
+
+/**
+ * Parses SVG markup into a tree of SvgNodes. Only well-formed documents with
+ * a single <svg> root element are accepted.
+ *
+ * @param {string} markup
+ * @returns {SvgNode} The document node
+ * @throws {Error} With a user-facing message for malformed markup
+ */
+function parseSvg(markup) {
+    const tree = { type: "document", children: [] };
+    const stack = [tree];
+    let entities = {};
+    let pos = 0;
+
+    const fail = () => {
+        throw new Error("Plik logo nie jest poprawnym dokumentem SVG.");
+    };
+    const readUntil = (end) => {
+        const index = markup.indexOf(end, pos);
+        if (index < 0) fail();
+        const text = markup.slice(pos, index);
+        pos = index + end.length;
+        return text;
+    };
+    const matchAt = (pattern) => {
+        pattern.lastIndex = pos;
+        const match = pattern.exec(markup);
+        if (match) pos = pattern.lastIndex;
+        return match;
+    };
+
+    while (pos < markup.length) {
+        const parent = stack[stack.length - 1];
+        const next = markup.indexOf("<", pos);
+
+        if (next !== pos) {
+            const end = next < 0 ? markup.length : next;
+            const text = markup.slice(pos, end);
+            if (parent !== tree) {
+                parent.children.push({
+                    type: "text",
+                    text: decodeXmlEntities(text, entities),
+                });
+            } else if (text.trim()) {
+                fail();
+            }
+            pos = end;
+        } else if (markup.startsWith("<!--", pos)) {
+            pos += 4;
+            parent.children.push({ type: "comment", text: readUntil("-->") });
+        } else if (markup.startsWith("<![CDATA[", pos)) {
+            pos += 9;
+            parent.children.push({ type: "cdata", text: readUntil("]]>") });
+        } else if (markup.startsWith("<?", pos)) {
+            pos += 2;
+            parent.children.push({
+                type: "instruction",
+                text: readUntil("?>"),
+            });
+        } else if (markup.startsWith("</", pos)) {
+            const match = matchAt(SVG_END_TAG_PATTERN);
+            if (!match || match[1] !== parent.name) fail();
+            stack.pop();
+        } else if (parent === tree && markup.startsWith("<!", pos)) {
+            const match = matchAt(SVG_DOCTYPE_PATTERN);
+            if (!match) fail();
+            entities = parseDoctypeEntities(match[0]);
+            parent.children.push({ type: "doctype", text: match[0] });
+        } else {
+            const match = matchAt(SVG_TAG_PATTERN);
+            if (!match) fail();
+            const [, name, attributeText, selfClosing] = match;
+            const element = {
+                type: "element",
+                name,
+                attributes: [
+                    ...attributeText.matchAll(SVG_ATTRIBUTE_PATTERN),
+                ].map(([, attribute, double, single]) => [
+                    attribute,
+                    decodeXmlEntities(double ?? single, entities),
+                ]),
+                children: [],
+            };
+            if (
+                parent === tree &&
+                tree.children.some((node) => node.type === "element")
+            ) {
+                fail();
+            }
+            parent.children.push(element);
+            if (!selfClosing) stack.push(element);
+        }
+    }
+
+    const root = tree.children.find((node) => node.type === "element");
+    if (stack.length !== 1 || !root || localName(root.name) !== "svg") {
+        fail();
+    }
+    return tree;
+}
+
+/**
+ * Serializes a parsed SVG tree back into markup.
+ *
+ * @param {SvgNode} node
+ * @returns {string}
+ */
+function serializeSvg(node) {
+    switch (node.type) {
+        case "document":
+            return node.children.map(serializeSvg).join("");
+        case "element": {
+            const attributes = node.attributes
+                .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+                .join("");
+            return node.children.length
+                ? `<${node.name}${attributes}>${node.children
+                      .map(serializeSvg)
+                      .join("")}</${node.name}>`
+                : `<${node.name}${attributes} />`;
+        }
+        case "text":
+            return node.text
+                .replace(/&/g, "&amp;")
+                .replace(/</g, "&lt;")
+                .replace(/>/g, "&gt;");
+        case "cdata":
+            return `<![CDATA[${node.text}]]>`;
+        case "comment":
+            return `<!--${node.text}-->`;
+        case "instruction":
+            return `<?${node.text}?>`;
+        default:
+            return node.text;
+    }
+}
+
+/**
+ * Copies a parsed SVG tree, so a copy can be changed (e.g. recolored) while
+ * the original stays cached.
+ *
+ * @param {SvgNode} node
+ * @returns {SvgNode}
+ */
+function cloneSvgNode(node) {
+    const copy = { ...node };
+    if (node.attributes) {
+        copy.attributes = node.attributes.map((attribute) => [...attribute]);
+    }
+    if (node.children) copy.children = node.children.map(cloneSvgNode);
+    return copy;
+}
+
+/**
+ * The name of an element or attribute without its namespace prefix, in
+ * lower case.
+ *
+ * @param {string} name - e.g. "xlink:href"
+ * @returns {string} e.g. "href"
+ */
+function localName(name) {
+    return name.slice(name.indexOf(":") + 1).toLowerCase();
+}
+
+/**
+ * Whether a link target stays inside the document: a fragment ("#id") or an
+ * embedded raster image.
+ *
+ * @param {string} target
+ * @returns {boolean}
+ */
+function isLocalReference(target) {
+    const value = target.trim();
+    return value.startsWith("#") || SAFE_DATA_URI_PATTERN.test(value);
+}
+
+/**
+ * CSS functions that load a resource, preceded by the character before them
+ * (so e.g. "my-url(" doesn't match). Their strings and url() targets are
+ * checked with isLocalReference.
+ */
+const CSS_RESOURCE_FUNCTION_PATTERN =
+    /(^|[^\w-])(url|src|image|(?:-webkit-)?image-set|(?:-webkit-)?cross-fade)\(/gi;
+
+/**
+ * Decodes the CSS escapes that stand for ASCII letters ("\75 rl(" is "url(",
+ * "@\69mport" is "@import"), so escaped names can't slip past the checks.
+ * Other escapes are kept: they can't spell a function or at-rule name, and
+ * an escaped "#" or "/" only makes a target look less local.
+ *
+ * @param {string} css
+ * @returns {string}
+ */
+function decodeCssLetterEscapes(css) {
+    return css.replace(
+        /\\(?:([0-9a-f]{1,6})[ \t\n\r\f]?|([g-z]))/gi,
+        (escape, hex, letter) => {
+            if (letter) return letter;
+            const character = String.fromCodePoint(
+                Math.min(parseInt(hex, 16), 0x10ffff)
+            );
+            return /^[a-z]$/i.test(character) ? character : escape;
+        }
+    );
+}
+
+/**
+ * Finds the end of a CSS function call, skipping strings, escapes and
+ * nested parentheses.
+ *
+ * @param {string} css
+ * @param {number} start - Index just after the opening parenthesis
+ * @returns {number} Index just after the closing parenthesis (the end of the text when unclosed)
+ */
+function findCssCallEnd(css, start) {
+    let depth = 1;
+    let quote = null;
+    for (let i = start; i < css.length; i++) {
+        const character = css[i];
+        if (character === "\\") {
+            i++;
+        } else if (quote) {
+            if (character === quote) quote = null;
+        } else if (character === '"' || character === "'") {
+            quote = character;
+        } else if (character === "(") {
+            depth++;
+        } else if (character === ")" && --depth === 0) {
+            return i + 1;
+        }
+    }
+    return css.length;
+}
+
+/**
+ * The resources a CSS function call refers to: its strings and the targets
+ * of unquoted url() calls inside it.
+ *
+ * @param {string} call - e.g. 'image-set("a.png" 1x, url(b.png) 2x)'
+ * @returns {string[]}
+ */
+function getCssCallTargets(call) {
+    return [
+        ...[...call.matchAll(/"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'/g)].map(
+            ([, double, single]) => double ?? single
+        ),
+        ...[...call.matchAll(/\burl\(\s*([^"'\s)][^)]*?)\s*\)/gi)].map(
+            ([, target]) => target
+        ),
+        ...(/^url\(\s*\)$/i.test(call) ? [""] : []),
+    ];
+}
+
+/**
+ * Removes external references and script-like constructs from CSS (a
+ * <style> element or a `style` attribute): `@import` rules and resource
+ * functions (url(), image-set(), ...) with a target that isn't local. Names
+ * are checked after decoding the escaped letters; the CSS is returned as
+ * written when nothing was removed.
+ *
+ * @param {string} css
+ * @param {function(string): void} report - Called with the label of every removal
+ * @returns {string}
+ */
+function sanitizeCss(css, report) {
+    let removed = false;
+    const decoded = decodeCssLetterEscapes(css).replace(
+        /@import[^;]*;?/gi,
+        () => {
+            report("odwołania zewnętrzne");
+            removed = true;
+            return "";
+        }
+    );
+
+    let result = "";
+    let pos = 0;
+    for (const match of decoded.matchAll(CSS_RESOURCE_FUNCTION_PATTERN)) {
+        const start = match.index + match[1].length;
+        if (start < pos) continue; // Inside a call that was already removed
+        const end = findCssCallEnd(decoded, match.index + match[0].length);
+        const targets = getCssCallTargets(decoded.slice(start, end));
+        if (targets.every(isLocalReference)) continue;
+        report("odwołania zewnętrzne");
+        removed = true;
+        result += `${decoded.slice(pos, start)}none`;
+        pos = end;
+    }
+    return removed ? result + decoded.slice(pos) : css;
+}
+
+/**
+ * Removes active content and external references from a parsed SVG:
+ * scripts, event handler attributes, <foreignObject>, embedded documents,
+ * animations, links to other files (`href`, CSS `url()` and `@import`),
+ * the DOCTYPE (which can define entities) and processing instructions.
+ *
+ * @param {SvgNode} tree - Result of parseSvg, changed in place
+ * @returns {string[]} What was removed, e.g. ["skrypty (2)", "atrybuty zdarzeń (1)"]
+ */
+function sanitizeSvgTree(tree) {
+    const counts = new Map();
+    const report = (label) => counts.set(label, (counts.get(label) || 0) + 1);
+
+    const clean = (node) => {
+        node.children = node.children.filter((child) => {
+            if (child.type === "comment") return false;
+            if (child.type === "doctype") {
+                report("deklaracja DOCTYPE");
+                return false;
+            }
+            if (child.type === "instruction") {
+                // The XML declaration is dropped silently
+                if (!/^xml\s/i.test(child.text)) {
+                    report("instrukcje przetwarzania");
+                }
+                return false;
+            }
+            if (child.type !== "element") return true;
+
+            const blocked = SVG_BLOCKED_ELEMENTS[localName(child.name)];
+            if (blocked) {
+                report(blocked);
+                return false;
+            }
+            cleanAttributes(child);
+            clean(child);
+            return true;
+        });
+
+        if (node.type === "element" && localName(node.name) === "style") {
+            node.children.forEach((child) => {
+                if (child.type === "text" || child.type === "cdata") {
+                    child.text = sanitizeCss(child.text, report);
+                }
+            });
+        }
+    };
+
+    const cleanAttributes = (element) => {
+        element.attributes = element.attributes.filter(([name, value]) => {
+            const local = localName(name);
+            if (local.startsWith("on")) {
+                report("atrybuty zdarzeń");
+                return false;
+            }
+            if (
+                (local === "href" || local === "src") &&
+                !isLocalReference(value)
+            ) {
+                report("odwołania zewnętrzne");
+                return false;
+            }
+            if (name.toLowerCase() === "xml:base") {
+                report("odwołania zewnętrzne");
+                return false;
+            }
+            return true;
+        });
+        // Any attribute can hold CSS (style, fill, filter, mask, ...)
+        element.attributes.forEach((attribute) => {
+            attribute[1] = sanitizeCss(attribute[1], report);
+        });
+    };
+
+    clean(tree);
+    return [...counts].map(([label, count]) => `${label} (${count})`);
+}
+
+/**
+ * Prefixes every element id of a parsed SVG, and the references to them
+ * (`href="#id"`, `url(#id)` and `#id` selectors in <style>), so the logo's
+ * ids can't collide with those of the code around it (e.g. `logoClip`).
+ *
+ * @param {SvgNode} tree - Result of parseSvg, changed in place
+ * @param {string} prefix
+ */
+function prefixSvgIds(tree, prefix) {
+    const ids = new Set();
+    const elements = [];
+    const collect = (node) => {
+        node.children.forEach((child) => {
+            if (child.type !== "element") return;
+            elements.push(child);
+            child.attributes.forEach(([name, value]) => {
+                if (name === "id") ids.add(value);
+            });
+            collect(child);
+        });
+    };
+    collect(tree);
+    if (!ids.size) return;
+
+    const rename = (id) => (ids.has(id) ? prefix + id : id);
+    const renameReferences = (text) =>
+        text
+            .replace(
+                /url\(\s*(["']?)#([^"')]+)\1\s*\)/g,
+                (match, quote, id) => `url(${quote}#${rename(id)}${quote})`
+            )
+            .replace(/#([\w-]+)(?=[^{}]*\{)/g, (match, id) => `#${rename(id)}`);
+
+    elements.forEach((element) => {
+        element.attributes.forEach((attribute) => {
+            const [name, value] = attribute;
+            if (name === "id") {
+                attribute[1] = rename(value);
+            } else if (localName(name) === "href" && value.startsWith("#")) {
+                attribute[1] = `#${rename(value.slice(1))}`;
+            } else if (value.includes("url(")) {
+                attribute[1] = renameReferences(value);
+            }
+        });
+        if (localName(element.name) === "style") {
+            element.children.forEach((child) => {
+                if (child.type === "text" || child.type === "cdata") {
+                    child.text = renameReferences(child.text);
+                }
+            });
+        }
+    });
+}
+
+/** Properties that hold a color, both as attributes and in CSS. */
+const SVG_COLOR_PROPERTIES = [
+    "fill",
+    "stroke",
+    "stop-color",
+    "flood-color",
+    "lighting-color",
+    "color",
+];
+
+/** The basic CSS color keywords; logos using other keywords keep them. */
+const CSS_COLOR_NAMES = {
+    black: "#000000",
+    silver: "#c0c0c0",
+    gray: "#808080",
+    grey: "#808080",
+    white: "#ffffff",
+    maroon: "#800000",
+    red: "#ff0000",
+    purple: "#800080",
+    fuchsia: "#ff00ff",
+    magenta: "#ff00ff",
+    green: "#008000",
+    lime: "#00ff00",
+    olive: "#808000",
+    yellow: "#ffff00",
+    navy: "#000080",
+    blue: "#0000ff",
+    teal: "#008080",
+    aqua: "#00ffff",
+    cyan: "#00ffff",
+    orange: "#ffa500",
+};
+
+/** Colors inside a paint value; url() references are matched to skip them. */
+const CSS_COLOR_PATTERN = new RegExp(
+    `url\\([^)]*\\)|#[0-9a-f]{3,8}\\b|rgba?\\([^)]*\\)|\\b(?:${Object.keys(
+        CSS_COLOR_NAMES
+    ).join("|")})\\b`,
+    "gi"
+);
+
+/** Color declarations in CSS (a <style> element or a `style` attribute). */
+const CSS_COLOR_DECLARATION_PATTERN = new RegExp(
+    `(^|[;{\\s])(${SVG_COLOR_PROPERTIES.join("|")})(\\s*:\\s*)([^;}]+)`,
+    "gi"
+);
+
+/**
+ * Parses a CSS color: "#rgb", "#rgba", "#rrggbb", "#rrggbbaa", rgb()/rgba()
+ * or one of CSS_COLOR_NAMES.
+ *
+ * @param {string} value
+ * @returns {{r: number, g: number, b: number, a: number}|null} Channels 0–255, alpha 0–1
+ */
+function parseCssColor(value) {
+    let color = value.trim().toLowerCase();
+    color = CSS_COLOR_NAMES[color] || color;
+
+    const hex = /^#([0-9a-f]{3,8})$/.exec(color);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length === 3 || digits.length === 4) {
+            digits = digits.replace(/./g, "$&$&");
+        }
+        if (digits.length !== 6 && digits.length !== 8) return null;
+        const channel = (i) => parseInt(digits.slice(i, i + 2), 16);
+        return {
+            r: channel(0),
+            g: channel(2),
+            b: channel(4),
+            a: digits.length === 8 ? channel(6) / 255 : 1,
+        };
+    }
+
+    const functional = /^rgba?\(([^)]*)\)$/.exec(color);
+    if (functional) {
+        const parts = functional[1].split(/[\s,/]+/).filter(Boolean);
+        if (parts.length < 3) return null;
+        const channel = (part) =>
+            Math.min(
+                Math.max(
+                    part.endsWith("%")
+                        ? parseFloat(part) * 2.55
+                        : parseFloat(part),
+                    0
+                ),
+                255
+            ) || 0;
+        const alpha = parts[3]
+            ? parseFloat(parts[3]) / (parts[3].endsWith("%") ? 100 : 1)
+            : 1;
+        return {
+            r: Math.round(channel(parts[0])),
+            g: Math.round(channel(parts[1])),
+            b: Math.round(channel(parts[2])),
+            a: Math.min(Math.max(Number.isNaN(alpha) ? 1 : alpha, 0), 1),
+        };
+    }
+    return null;
+}
+
+/**
+ * Formats a color as "#rrggbb", or rgba() when it is translucent.
+ *
+ * @param {{r: number, g: number, b: number, a: number}} color
+ * @returns {string}
+ */
+function formatCssColor({ r, g, b, a }) {
+    if (a < 1) return `rgba(${r}, ${g}, ${b}, ${Math.round(a * 1000) / 1000})`;
+    return `#${[r, g, b]
+        .map((channel) => channel.toString(16).padStart(2, "0"))
+        .join("")}`;
+}
+
+/**
+ * The color mapping of a logo color mode, shared by SVG and raster logos:
+ * "mono" paints everything in the logo's color (keeping transparency),
+ * "invert" inverts every channel.
+ *
+ * @param {Scene["logo"]} logo
+ * @returns {function({r: number, g: number, b: number, a: number}): {r: number, g: number, b: number, a: number}|null}
+ *   Null when the colors are kept
+ */
+function createLogoColorMap(logo) {
+    if (logo.recolor === "invert") {
+        return ({ r, g, b, a }) => ({ r: 255 - r, g: 255 - g, b: 255 - b, a });
+    }
+    if (logo.recolor === "mono") {
+        const target = parseCssColor(logo.color) || { r: 0, g: 0, b: 0 };
+        return ({ a }) => ({ ...target, a });
+    }
+    return null;
+}
+
+/**
+ * Applies a color mapping to every color of a paint value (e.g. "red",
+ * "url(#gradient) #000"), leaving "none", "currentColor" and url()
+ * references as they are.
+ *
+ * @param {string} value
+ * @param {function} mapColor - Result of createLogoColorMap
+ * @returns {string}
+ */
+function recolorCssValue(value, mapColor) {
+    return value.replace(CSS_COLOR_PATTERN, (token) => {
+        const color = token.startsWith("url(") ? null : parseCssColor(token);
+        return color ? formatCssColor(mapColor(color)) : token;
+    });
+}
+
+/**
+ * Recolors a parsed SVG consistently: color attributes (fill, stroke,
+ * gradient stops, ...), `style` attributes and <style> elements. Shapes
+ * without a fill are black by default, so the root gets the mapped default.
+ *
+ * @param {SvgNode} tree - Result of parseSvg, changed in place
+ * @param {function} mapColor - Result of createLogoColorMap
+ */
+function recolorSvgTree(tree, mapColor) {
+    const recolorCss = (css) =>
+        css.replace(
+            CSS_COLOR_DECLARATION_PATTERN,
+            (match, before, property, colon, value) =>
+                before + property + colon + recolorCssValue(value, mapColor)
+        );
+
+    const visit = (node) => {
+        node.children.forEach((child) => {
+            if (child.type !== "element") return;
+            child.attributes.forEach((attribute) => {
+                const [name, value] = attribute;
+                if (SVG_COLOR_PROPERTIES.includes(name)) {
+                    attribute[1] = recolorCssValue(value, mapColor);
+                } else if (name === "style") {
+                    attribute[1] = recolorCss(value);
+                }
+            });
+            if (localName(child.name) === "style") {
+                child.children.forEach((text) => {
+                    if (text.type === "text" || text.type === "cdata") {
+                        text.text = recolorCss(text.text);
+                    }
+                });
+            }
+            visit(child);
+        });
+    };
+    visit(tree);
+
+    const root = tree.children.find((node) => node.type === "element");
+    const defaultColor = formatCssColor(mapColor({ r: 0, g: 0, b: 0, a: 1 }));
+    ["fill", "color"].forEach((name) => {
+        if (!root.attributes.some(([attribute]) => attribute === name)) {
+            root.attributes.push([name, defaultColor]);
+        }
+    });
+}
+
+/**
+ * Cleans uploaded SVG logo markup (see sanitizeSvgTree), keeping its ids.
+ *
+ * @param {string} markup
+ * @returns {{markup: string, removed: string[]}}
+ * @throws {Error} With a user-facing message for malformed markup
+ */
+function sanitizeSvgLogo(markup) {
+    const tree = parseSvg(markup);
+    const removed = sanitizeSvgTree(tree);
+    return { markup: serializeSvg(tree), removed };
+}
+
+/**
+ * Encodes SVG markup as a base64 data URI (UTF-8).
+ *
+ * @param {string} markup
+ * @returns {string}
+ */
+function svgToDataUri(markup) {
+    const bytes = new TextEncoder().encode(markup);
+    let binary = "";
+    bytes.forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+    return `data:image/svg+xml;base64,${btoa(binary)}`;
+}
+
+// --------------------------------------------------------------------
+// 9. LOGO
+// --------------------------------------------------------------------
+
+/** Longest side raster logos are scaled down to before processing (px). */
+const LOGO_PROCESSING_SIZE = 1024;
+
+/** Pixels with every channel at least this bright count as white background. */
+const WHITE_THRESHOLD = 235;
+
+/** Pixels with at most this alpha count as transparent when trimming. */
+const TRIM_ALPHA_THRESHOLD = 8;
+
+/** The last processed raster logo, reused while its settings don't change. */
+let processedLogoCache = null;
+
+/** The last SVG logo, parsed and sanitized once: `{src, tree}`. */
+let svgLogoCache = null;
+
+/**
+ * Tells SVG logos (data URI or file name) from raster ones.
+ *
+ * @param {string} src
+ * @returns {boolean}
+ */
+function isSvgSource(src) {
+    return /^data:image\/svg\+xml/i.test(src) || /\.svg([?#]|$)/i.test(src);
+}
+
+/**
+ * Fetches an SVG logo, sanitizes it (see sanitizeSvgTree) and prefixes its
+ * ids with LOGO_ID_PREFIX. The result is kept in svgLogoCache, so renders
+ * with the same logo don't fetch and parse it again.
+ *
+ * @param {string} src - URL of the logo
+ * @returns {Promise<SvgNode>} The cached tree; callers must not change it
+ * @throws {Error} With a user-facing message when the logo can't be loaded or parsed
+ */
+async function loadSvgLogoTree(src) {
+    if (svgLogoCache?.src === src) return svgLogoCache.tree;
+
+    let markup;
+    try {
+        markup = await (await fetch(src)).text();
+    } catch (e) {
+        throw new Error("Nie udało się wczytać logo.");
+    }
+    const tree = parseSvg(markup);
+    sanitizeSvgTree(tree);
+    prefixSvgIds(tree, LOGO_ID_PREFIX);
+    svgLogoCache = { src, tree };
+    return tree;
+}
+
+/**
+ * Prepares the SVG logo of a scene: a copy of the sanitized tree (see
+ * loadSvgLogoTree), recolored for the logo color mode (see recolorSvgTree).
+ *
+ * @param {Scene["logo"]} logo
+ * @returns {Promise<SvgNode>} The document node of the logo
+ */
+async function prepareLogoTree(logo) {
+    const tree = cloneSvgNode(await loadSvgLogoTree(logo.src));
+    const mapColor = createLogoColorMap(logo);
+    if (mapColor) recolorSvgTree(tree, mapColor);
+    return tree;
+}
+
+/**
+ * Whether a raster logo has to go through processRasterLogo.
+ *
+ * @param {Scene["logo"]} logo
+ * @returns {boolean}
+ */
+function needsRasterProcessing(logo) {
+    return logo.trim || logo.removeWhite || logo.recolor !== "keep";
+}
+
+/**
+ * Cleans up a raster logo on a canvas: makes the white background (the
+ * near-white area connected to the image edges, so white details inside the
+ * logo stay) transparent, recolors it for the logo color mode and crops
+ * transparent edges.
+ *
+ * @param {HTMLImageElement} image
+ * @param {Scene["logo"]} logo
+ * @returns {HTMLCanvasElement}
+ */
+function processRasterLogo(image, logo) {
+    const { trim, removeWhite } = logo;
+    const scale = Math.min(
+        LOGO_PROCESSING_SIZE / Math.max(image.width, image.height),
+        1
+    );
+    const width = Math.max(Math.round(image.width * scale), 1);
+    const height = Math.max(Math.round(image.height * scale), 1);
+    const canvas = renderPlatform.createCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(image, 0, 0, width, height);
+
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const { data } = imageData;
+
+    if (removeWhite) {
+        // Transparent pixels don't stop the fill (e.g. a white box on a
+        // transparent canvas)
+        const isBackground = (i) =>
+            data[i * 4 + 3] <= TRIM_ALPHA_THRESHOLD ||
+            Math.min(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]) >=
+                WHITE_THRESHOLD;
+
+        // Flood fill from every edge pixel through near-white pixels
+        const visited = new Uint8Array(width * height);
+        const stack = [];
+        for (let x = 0; x < width; x++) {
+            stack.push(x, (height - 1) * width + x);
+        }
+        for (let y = 0; y < height; y++) {
+            stack.push(y * width, y * width + width - 1);
+        }
+        while (stack.length) {
+            const i = stack.pop();
+            if (visited[i] || !isBackground(i)) continue;
+            visited[i] = 1;
+            data[i * 4 + 3] = 0;
+
+            const x = i % width;
+            if (x > 0) stack.push(i - 1);
+            if (x < width - 1) stack.push(i + 1);
+            if (i >= width) stack.push(i - width);
+            if (i < width * (height - 1)) stack.push(i + width);
+        }
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    const mapColor = createLogoColorMap(logo);
+    if (mapColor) {
+        for (let i = 0; i < data.length; i += 4) {
+            const { r, g, b } = mapColor({
+                r: data[i],
+                g: data[i + 1],
+                b: data[i + 2],
+                a: 1,
+            });
+            data[i] = r;
+            data[i + 1] = g;
+            data[i + 2] = b;
+        }
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    if (!trim) return canvas;
+
+    // Bounding box of the visible pixels
+    let left = width;
+    let top = height;
+    let right = -1;
+    let bottom = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] > TRIM_ALPHA_THRESHOLD) {
+                left = Math.min(left, x);
+                right = Math.max(right, x);
+                top = Math.min(top, y);
+                bottom = Math.max(bottom, y);
+            }
+        }
+    }
+    if (right < 0) return canvas; // Nothing visible: keep the image as is
+
+    const trimmed = renderPlatform.createCanvas(
+        right - left + 1,
+        bottom - top + 1
+    );
+    trimmed
+        .getContext("2d")
+        .drawImage(
+            canvas,
+            left,
+            top,
+            trimmed.width,
+            trimmed.height,
+            0,
+            0,
+            trimmed.width,
+            trimmed.height
+        );
+    return trimmed;
+}
+
+/**
+ * Loads the logo of a scene as an image for the canvas renderer. SVG logos
+ * are prepared first and loaded from a base64 data URI (rather than a blob
+ * URL, which the Node.js canvas packages can't read); raster logos are
+ * processed when trimming, white removal or recoloring is on.
+ *
+ * @param {Scene["logo"]} logo
+ * @returns {Promise<HTMLImageElement|HTMLCanvasElement>}
+ */
+async function loadLogoImage(logo) {
+    if (!isSvgSource(logo.src)) {
+        if (!needsRasterProcessing(logo)) return loadImage(logo.src);
+
+        const settings = [
+            logo.trim,
+            logo.removeWhite,
+            logo.recolor,
+            logo.color,
+        ];
+        const cache = processedLogoCache;
+        if (
+            cache?.src === logo.src &&
+            cache.settings.every((value, i) => value === settings[i])
+        ) {
+            return cache.canvas;
+        }
+        const canvas = processRasterLogo(await loadImage(logo.src), logo);
+        processedLogoCache = { src: logo.src, settings, canvas };
+        return canvas;
+    }
+
+    return loadImage(svgToDataUri(serializeSvg(await prepareLogoTree(logo))));
+}
+
+/**
+ * Paints a loaded logo into a square box: the plate color, the logo inset by
+ * its padding, then the border along the logo shape. Raster logos keep their
+ * aspect ratio; SVG logos do so through their own viewBox.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Scene["logo"]} logo
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Result of loadLogoImage
+ * @param {number} x - Left edge of the box
+ * @param {number} y - Top edge of the box
+ * @param {number} size - Side of the box
+ */
+function drawLogo(ctx, logo, image, x, y, size) {
+    if (logo.backgroundColor) {
+        ctx.fillStyle = logo.backgroundColor;
+        ctx.fillRect(x, y, size, size);
+    }
+
+    const padding = (logo.padding / logo.size) * size;
+    const inner = size - 2 * padding;
+    if (isSvgSource(logo.src)) {
+        ctx.drawImage(image, x + padding, y + padding, inner, inner);
+    } else {
+        const fit = inner / Math.max(image.width, image.height);
+        const w = image.width * fit;
+        const h = image.height * fit;
+        ctx.drawImage(image, x + (size - w) / 2, y + (size - h) / 2, w, h);
+    }
+
+    // Half of the stroke falls outside the shape and is clipped away
+    if (logo.borderWidth) {
+        ctx.strokeStyle = logo.borderColor;
+        ctx.lineWidth = (2 * logo.borderWidth * size) / logo.size;
+        ctx.stroke(
+            new renderPlatform.Path2D(logoShapePath(logo.shape, x, y, size))
+        );
+    }
+}
+
+/**
+ * Builds the outline of the logo area for a logo shape.
+ *
+ * @param {string} shape - "circle", "square", "rounded" or "none"
+ * @param {number} x - Left edge of the box
+ * @param {number} y - Top edge of the box
+ * @param {number} size - Side of the box
+ * @returns {string|null} Path data, or null when the logo isn't clipped
+ */
+function logoShapePath(shape, x, y, size) {
+    if (shape === "none") return null;
+    if (shape === "square") return roundedRectPath(x, y, size, size);
+    if (shape === "rounded") {
+        const r = size * LOGO_CORNER_RATIO;
+        return roundedRectPath(x, y, size, size, [r, r, r, r]);
+    }
+    return circlePath(x + size / 2, y + size / 2, size / 2);
+}
+
+/**
+ * Turns the logo into a nested <svg> element placed in the given box,
+ * keeping the viewBox and the other root attributes of the original
+ * (namespace declarations, inherited colors, ...). The root is taken from
+ * the parsed tree, so prefixed roots (`<svg:svg>`) work too; the nested
+ * element is always a plain <svg> of the export's default namespace.
+ *
+ * @param {SvgNode} tree - The document node of the logo (see prepareLogoTree)
+ * @param {number} x - Left edge of the box
+ * @param {number} y - Top edge of the box
+ * @param {number} size - Side of the box
+ * @returns {string}
+ */
+function nestLogoSvg(tree, x, y, size) {
+    const root = tree.children.find((node) => node.type === "element");
+    const placement = ["x", "y", "width", "height", "viewBox"];
+
+    const viewBoxValue = root.attributes.find(
+        ([name]) => name === "viewBox"
+    )?.[1];
+    let viewBox = viewBoxValue
+        ? viewBoxValue
+              .trim()
+              .split(/[\s,]+/)
+              .map(Number)
+        : [0, 0, 100, 100];
+    if (viewBox.length === 2) {
+        viewBox = [0, 0, viewBox[0], viewBox[1]];
+    }
+
+    // Keep every attribute except the placement, which is replaced
+    const nested = {
+        type: "element",
+        name: "svg",
+        attributes: [
+            ["x", String(x)],
+            ["y", String(y)],
+            ["width", String(size)],
+            ["height", String(size)],
+            ["viewBox", viewBox.join(" ")],
+            ...root.attributes.filter(([name]) => !placement.includes(name)),
+        ],
+        children: root.children,
+    };
+    return serializeSvg(nested);
+}
+
+// --------------------------------------------------------------------
+// 10. CANVAS RENDERER
+// --------------------------------------------------------------------
+
+/**
+ * Where an image goes to fill a box: "stretch" ignores its aspect ratio,
+ * "cover" overflows (to be clipped) and "contain" leaves empty bars.
+ *
+ * @param {string} fit - "stretch", "cover" or "contain"
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @param {{x: number, y: number, w: number, h: number}} box
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+function fitImageRect(fit, imageWidth, imageHeight, box) {
+    // Images without an intrinsic size (some SVGs) can only be stretched
+    if (fit === "stretch" || !imageWidth || !imageHeight) return box;
+    const pick = fit === "contain" ? Math.min : Math.max;
+    const scale = pick(box.w / imageWidth, box.h / imageHeight);
+    const w = imageWidth * scale;
+    const h = imageHeight * scale;
+    return { x: box.x + (box.w - w) / 2, y: box.y + (box.h - h) / 2, w, h };
+}
+
+/**
+ * Draws the background image of a scene over the QR area (0, 0)–(area, area).
+ * The image is composed on an offscreen canvas at the target resolution
+ * first, so the blur covers the tiles as a whole, like the SVG filter does.
+ *
+ * @param {CanvasRenderingContext2D} ctx - The target context, in scene units
+ * @param {CanvasImageSource} image - The loaded image
+ * @param {NonNullable<Scene["background"]>["image"]} background - Fit, opacity and blur
+ * @param {number} area - Side of the QR area
+ * @param {number} scale - Context units per scene unit
+ */
+function drawBackgroundImage(ctx, image, background, area, scale) {
+    const side = Math.max(Math.ceil(area * scale), 1);
+    const layer = renderPlatform.createCanvas(side, side);
+    const layerCtx = layer.getContext("2d");
+    const imageWidth = image.naturalWidth || image.width;
+    const imageHeight = image.naturalHeight || image.height;
+
+    // Tiles are square, each filled like "cover"
+    const count = background.fit === "tile" ? BACKGROUND_TILE_COUNT : 1;
+    const tile = side / count;
+    const fit = background.fit === "tile" ? "cover" : background.fit;
+    for (let row = 0; row < count; row++) {
+        for (let col = 0; col < count; col++) {
+            const box = { x: col * tile, y: row * tile, w: tile, h: tile };
+            const rect = fitImageRect(fit, imageWidth, imageHeight, box);
+            layerCtx.save();
+            layerCtx.beginPath();
+            layerCtx.rect(box.x, box.y, box.w, box.h);
+            layerCtx.clip();
+            layerCtx.drawImage(image, rect.x, rect.y, rect.w, rect.h);
+            layerCtx.restore();
+        }
+    }
+
+    let source = layer;
+    if (background.blur > 0) {
+        source = renderPlatform.createCanvas(side, side);
+        const blurCtx = source.getContext("2d");
+        blurCtx.filter = `blur(${background.blur * scale}px)`;
+        blurCtx.drawImage(layer, 0, 0);
+    }
+
+    ctx.save();
+    ctx.globalAlpha = background.opacity;
+    ctx.drawImage(source, 0, 0, area, area);
+    ctx.restore();
+}
+
+/**
+ * Draws a scene onto a 2D context, scaled so that the scene width maps to
+ * `width` context units. Images are loaded before anything is drawn, so the
+ * context is never left half-painted.
+ *
+ * @param {CanvasRenderingContext2D} ctx - The target context
+ * @param {Scene} scene
+ * @param {number} width - Width of the drawing in context units
+ * @returns {Promise<void>}
+ */
+async function drawScene(ctx, scene, width) {
+    const { code, frame } = scene;
+    const area = scene.areaSize;
+    const scale = width / scene.width;
+    const bgImage = scene.background?.image
+        ? await loadImage(scene.background.image.src)
+        : null;
+    const logoImage = scene.logo ? await loadLogoImage(scene.logo) : null;
+
+    ctx.save();
+    ctx.scale(scale, scale);
+
+    if (frame?.backdrop) {
+        ctx.fillStyle = frame.backdrop;
+        ctx.fill(new renderPlatform.Path2D(frame.outline));
+    }
+    for (const shape of frame?.shapes || []) {
+        ctx.fillStyle = shape.color;
+        ctx.fill(
+            new renderPlatform.Path2D(shape.path),
+            shape.evenOdd ? "evenodd" : "nonzero"
+        );
+    }
+
+    // The QR area, rotated around the centre of the code image
+    ctx.save();
+    ctx.translate(code.x + code.size / 2, code.y + code.size / 2);
+    ctx.rotate((scene.rotation * Math.PI) / 180);
+    ctx.translate(-area / 2, -area / 2);
+
+    if (scene.background) {
+        ctx.fillStyle = createCanvasPaint(ctx, scene.background.paint, {
+            x: 0,
+            y: 0,
+            w: area,
+            h: area,
+        });
+        ctx.fillRect(0, 0, area, area);
+    }
+    if (bgImage) {
+        drawBackgroundImage(ctx, bgImage, scene.background.image, area, scale);
+    }
+
+    if (scene.backingPanel) {
+        ctx.fillStyle = scene.backingPanel;
+        ctx.fillRect(0, 0, area, area);
+    }
+
+    for (const shape of scene.shapes) {
+        ctx.fillStyle = createCanvasPaint(ctx, shape.paint, shape.box);
+        ctx.fill(
+            new renderPlatform.Path2D(shape.path),
+            shape.evenOdd ? "evenodd" : "nonzero"
+        );
+    }
+    ctx.restore();
+
+    // The logo stays upright, clipped to its shape
+    if (logoImage) {
+        const { size, shape } = scene.logo;
+        const x = code.x + (code.size - size) / 2;
+        const y = code.y + (code.size - size) / 2;
+        const clip = logoShapePath(shape, x, y, size);
+        ctx.save();
+        if (clip) ctx.clip(new renderPlatform.Path2D(clip));
+        drawLogo(ctx, scene.logo, logoImage, x, y, size);
+        ctx.restore();
+    }
+
+    if (frame?.text) fillCanvasText(ctx, frame.text);
+    if (scene.caption) fillCanvasText(ctx, getCaptionText(scene));
+    ctx.restore();
+}
+
+/**
+ * The caption of a scene as a line of text: centred in its band, fitted to
+ * 90% of the image width.
+ *
+ * @param {Scene} scene - A scene with a caption
+ * @returns {NonNullable<Frame["text"]>}
+ */
+function getCaptionText(scene) {
+    const { text, color, height } = scene.caption;
+    return {
+        value: text,
+        x: scene.width / 2,
+        y: scene.height - height / 2,
+        size: height * 0.6,
+        maxWidth: scene.width * 0.9,
+        color,
+        font: FRAME_FONTS.averta,
+    };
+}
+
+/**
+ * Draws a line of text centred on its position, shrinking the font until
+ * the text fits its maximum width.
+ *
+ * @param {CanvasRenderingContext2D} ctx - The target context, in scene units
+ * @param {NonNullable<Frame["text"]>} text
+ */
+function fillCanvasText(ctx, { value, x, y, size, maxWidth, color, font }) {
+    let fontSize = size;
+    ctx.font = `${fontSize}px ${font}`;
+    while (fontSize > 6 && ctx.measureText(value).width > maxWidth) {
+        fontSize -= 1;
+        ctx.font = `${fontSize}px ${font}`;
+    }
+    ctx.fillStyle = color;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(value, x, y);
+}
+
+/**
+ * Renders a QR code for the given text with the given style options onto a
+ * new canvas. The scene is drawn at the output resolution, so the result
+ * does not depend on the preview size.
+ *
+ * @param {string} text - The text/URL to encode
+ * @param {number} size - Width of the resulting image in pixels
+ * @param {Partial<RenderOptions>} [options]
+ * @param {string|null} [backgroundColor] - Fill for transparent areas (e.g. for JPEG)
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function renderQrCanvas(text, size, options, backgroundColor = null) {
+    return renderSceneCanvas(buildScene(text, options), size, backgroundColor);
+}
+
+/**
+ * Draws a scene onto a new canvas of the given width (the height follows
+ * the scene).
+ *
+ * @param {Scene} scene
+ * @param {number} size - Width of the resulting image in pixels
+ * @param {string|null} [backgroundColor] - Fill for transparent areas (e.g. for JPEG)
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function renderSceneCanvas(scene, size, backgroundColor = null) {
+    const canvas = renderPlatform.createCanvas(
+        size,
+        Math.round((size * scene.height) / scene.width)
+    );
+    const ctx = canvas.getContext("2d");
+    if (backgroundColor) {
+        ctx.fillStyle = backgroundColor;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    await drawScene(ctx, scene, size);
+    return canvas;
+}
+
+// --------------------------------------------------------------------
+// 11. SVG RENDERER
+// --------------------------------------------------------------------
+
+/** preserveAspectRatio values of the background image fit modes. */
+const SVG_IMAGE_FIT = {
+    stretch: "none",
+    cover: "xMidYMid slice",
+    contain: "xMidYMid meet",
+};
+
+/**
+ * Builds the background image of a scene as SVG, matching drawBackgroundImage:
+ * clipped to the QR area, with tiles as a pattern and the blur as a filter.
+ *
+ * @param {NonNullable<Scene["background"]>["image"]} image
+ * @param {number} area - Side of the QR area
+ * @returns {{defs: string, body: string}}
+ */
+function buildSvgBackgroundImage(image, area) {
+    const href = escapeXml(image.src);
+    let defs = `<clipPath id="qrBackgroundClip"><rect width="${area}" height="${area}" /></clipPath>`;
+    let content;
+    if (image.fit === "tile") {
+        const tile = area / BACKGROUND_TILE_COUNT;
+        defs += `<pattern id="qrBackgroundTile" patternUnits="userSpaceOnUse" width="${tile}" height="${tile}"><image width="${tile}" height="${tile}" preserveAspectRatio="${SVG_IMAGE_FIT.cover}" xlink:href="${href}" /></pattern>`;
+        content = `<rect width="${area}" height="${area}" fill="url(#qrBackgroundTile)" />`;
+    } else {
+        content = `<image width="${area}" height="${area}" preserveAspectRatio="${
+            SVG_IMAGE_FIT[image.fit] || SVG_IMAGE_FIT.cover
+        }" xlink:href="${href}" />`;
+    }
+
+    let effects = "";
+    if (image.opacity < 1) effects += ` opacity="${image.opacity}"`;
+    if (image.blur > 0) {
+        defs += `<filter id="qrBackgroundBlur"><feGaussianBlur stdDeviation="${roundCoord(
+            image.blur
+        )}" /></filter>`;
+        effects += ' filter="url(#qrBackgroundBlur)"';
+    }
+    return {
+        defs,
+        body: `<g clip-path="url(#qrBackgroundClip)"><g${effects}>${content}</g></g>`,
+    };
+}
+
+/**
+ * Serializes a scene as a standalone SVG document (scene units map to SVG
+ * user units).
+ *
+ * @param {Scene} scene
+ * @returns {Promise<string>} The SVG markup
+ */
+async function sceneToSvg(scene) {
+    const { width, height, code, frame, areaSize: area } = scene;
+    let defs = "";
+    let body = "";
+
+    if (frame?.backdrop) {
+        body += `<path d="${frame.outline}" fill="${frame.backdrop}" />`;
+    }
+    for (const shape of frame?.shapes || []) {
+        body += `<path d="${shape.path}" fill="${shape.color}"${
+            shape.evenOdd ? ' fill-rule="evenodd"' : ""
+        } />`;
+    }
+
+    // The QR area, rotated around the centre of the code image
+    body += `<g transform="translate(${code.x + code.size / 2}, ${
+        code.y + code.size / 2
+    }) rotate(${scene.rotation}) translate(${-area / 2}, ${-area / 2})">`;
+
+    if (scene.background) {
+        const bgFill = createSvgPaint(
+            scene.background.paint,
+            { x: 0, y: 0, w: area, h: area },
+            "qrBackgroundFill"
+        );
+        defs += bgFill.defs;
+        body += `<rect width="${area}" height="${area}" fill="${bgFill.fill}" />`;
+    }
+    if (scene.background?.image) {
+        const bgImage = buildSvgBackgroundImage(scene.background.image, area);
+        defs += bgImage.defs;
+        body += bgImage.body;
+    }
+
+    if (scene.backingPanel) {
+        body += `<rect width="${area}" height="${area}" fill="${scene.backingPanel}" />`;
+    }
+
+    for (const shape of scene.shapes) {
+        const fill = createSvgPaint(shape.paint, shape.box, shape.id);
+        defs += fill.defs;
+        body += `<path d="${shape.path}" fill="${fill.fill}"${
+            shape.evenOdd ? ' fill-rule="evenodd"' : ""
+        } />`;
+    }
+    body += "</g>";
+
+    // The logo stays upright, clipped to its shape
+    if (scene.logo) {
+        const { logo } = scene;
+        const x = code.x + (code.size - logo.size) / 2;
+        const y = code.y + (code.size - logo.size) / 2;
+        const inner = logo.size - 2 * logo.padding;
+        const outline = logoShapePath(logo.shape, x, y, logo.size);
+        if (outline) {
+            defs += `<clipPath id="logoClip"><path d="${outline}" /></clipPath>`;
+            body += `<g clip-path="url(#logoClip)">`;
+        } else {
+            body += "<g>";
+        }
+        if (logo.backgroundColor) {
+            body += `<rect x="${x}" y="${y}" width="${logo.size}" height="${logo.size}" fill="${logo.backgroundColor}" />`;
+        }
+        body += isSvgSource(logo.src)
+            ? nestLogoSvg(
+                  await prepareLogoTree(logo),
+                  x + logo.padding,
+                  y + logo.padding,
+                  inner
+              )
+            : `<image x="${x + logo.padding}" y="${
+                  y + logo.padding
+              }" width="${inner}" height="${inner}" preserveAspectRatio="xMidYMid meet" xlink:href="${await getRasterLogoHref(
+                  logo
+              )}" />`;
+        // Half of the stroke falls outside the shape and is clipped away
+        if (logo.borderWidth) {
+            body += `<path d="${outline}" fill="none" stroke="${
+                logo.borderColor
+            }" stroke-width="${2 * logo.borderWidth}" />`;
+        }
+        body += "</g>";
+    }
+
+    if (frame?.text) body += svgText(frame.text);
+    if (scene.caption) body += svgText(getCaptionText(scene));
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${
+        defs ? `<defs>${defs}</defs>` : ""
+    }${body}</svg>`;
+}
+
+/**
+ * Builds a line of text centred on its position, matching fillCanvasText:
+ * text estimated to be wider than its maximum width is squeezed to fit.
+ *
+ * @param {NonNullable<Frame["text"]>} text
+ * @returns {string} The SVG markup
+ */
+function svgText({ value, x, y, size, maxWidth, color, font }) {
+    const fit =
+        value.length * size * 0.55 > maxWidth
+            ? ` textLength="${maxWidth}" lengthAdjust="spacingAndGlyphs"`
+            : "";
+    return `<text x="${x}" y="${y}" font-family="${escapeXml(
+        font
+    )}" font-size="${size}" fill="${color}" text-anchor="middle" dominant-baseline="middle"${fit}>${escapeXml(
+        value
+    )}</text>`;
+}
+
+/**
+ * The image reference of a raster logo for the SVG document: the original
+ * data URI, or the processed image as PNG when trimming, white removal or
+ * recoloring is on.
+ *
+ * @param {Scene["logo"]} logo
+ * @returns {Promise<string>}
+ */
+async function getRasterLogoHref(logo) {
+    if (!needsRasterProcessing(logo)) return logo.src;
+    return (await loadLogoImage(logo)).toDataURL("image/png");
+}
+
+/**
+ * Builds a complete SVG document of the QR code for the given text with the
+ * given style options. Shared by the SVG download, the copy button, the batch
+ * export and the CLI.
+ *
+ * @param {string} text - The text/URL to encode
+ * @param {Partial<RenderOptions>} [options]
+ * @returns {Promise<string>} The SVG markup
+ */
+function buildQrSvg(text, options) {
+    return sceneToSvg(buildScene(text, options));
+}
+
+/**
+ * Escapes text for use in XML content and attribute values.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return value
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+// --------------------------------------------------------------------
+// 12. NODE.JS EXPORTS
+// --------------------------------------------------------------------
+
+if (isNodeModule) {
+    module.exports = {
+        DEFAULT_RENDER_OPTIONS,
+        setRenderPlatform,
+        createQrCode,
+        getQrCapacity,
+        getMaxLogoScale,
+        MAX_QUIET_ZONE,
+        readErrorCorrectionLevel,
+        sanitizeSvgLogo,
+        solidPaint,
+        resolveRenderOptions,
+        buildScene,
+        drawScene,
+        sceneToSvg,
+        renderSceneCanvas,
+        renderQrCanvas,
+        buildQrSvg,
+    };
+}
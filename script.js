@@ -3,15 +3,53 @@
  *
  * Supports:
  *   - Debounced generation (avoids re-rendering on every keystroke).
+ *   - Structured content types (Wi‑Fi, vCard, e-mail, SMS, phone, geo, event).
+ *   - Error correction level, version, mask and encoding mode selection with
+ *     a live version/capacity readout.
+ *   - Quiet zone width in modules, optionally marked on the preview.
  *   - Transparent background toggle.
- *   - Color selection for QR code modules and backgrounds.
- *   - Optional center logo overlay.
+ *   - Color selection for QR code modules and backgrounds, including linear and
+ *     radial multi-stop gradients (real gradient defs in SVG exports).
+ *   - Module shape styles (squares, dots, rounded, liquid, bars), identical in
+ *     the canvas preview and the SVG exports.
+ *   - Independent shapes and colors for the finder patterns ("eyes").
+ *   - Optional center logo overlay (SVG, PNG, JPEG or WebP), with trimming,
+ *     white background removal and padding for raster logos.
  *   - Optional background image usage.
  *   - Rotation control (0–360 degrees).
- *   - Download and copy-to-clipboard functionality.
+ *   - Frame templates (box, speech bubble, banner) with an editable label.
+ *   - Contrast check between the code and its background (colors or the average
+ *     of a background image) with one-click fixes.
+ *   - Scannability check: the rendered canvas is decoded locally after every
+ *     change, and downloads/copies warn when the code no longer decodes.
+ *   - Import of an existing code from an image (upload, paste or drop): its
+ *     payload and error correction level are read locally and the original is
+ *     shown next to the restyled preview.
+ *   - Download and copy-to-clipboard functionality (PNG image, SVG markup, data
+ *     URIs or an <img> snippet, from a copy menu); raster downloads go through an
+ *     export dialog (exact pixel or physical size + DPI, PNG/JPEG/WebP, crop to
+ *     content) rendered independently of the preview size.
+ *   - Batch generation from a CSV/pasted list into a single ZIP of PNG/SVG files.
+ *   - Vector PDF export with A4/Letter sheet layouts (grid, margins, crop marks,
+ *     captions), generated in the browser without external libraries.
+ *   - Shareable links: the generator state is kept in the URL hash and
+ *     restored on load.
+ *   - Named style presets (brand kits) stored in IndexedDB, including the
+ *     uploaded logo and background, with JSON export/import.
+ *   - A searchable local history of generated codes (thumbnail, payload, date
+ *     and settings) with restore, re-download, pinning and clearing.
+ *   - Undo/redo of every setting, including uploaded images (Ctrl+Z,
+ *     Ctrl+Shift+Z and toolbar buttons).
+ *
+ * The rendering itself (encoding, shapes, fills, the scene model and its canvas
+ * and SVG backends) lives in qrgen.js, which is shared with the Node.js CLI;
+ * this file reads the page controls into render options and handles the UI.
  *
  * Requirements:
- *   - A QR code library that provides `QRCode.create(text, { errorCorrectionLevel: "H" })`.
+ *   - qrgen.js, loaded before this script.
+ *   - A QR code library that provides `QRCode.create(data, { errorCorrectionLevel, version, maskPattern })`.
+ *   - The jsQR decoder (`jsQR(data, width, height, options)`, vendor/jsQR.js) for the scannability check and the code import.
+ *   - JSZip (`new JSZip()`, `zip.file()`, `zip.generateAsync()`, vendor/jszip.min.js) for the batch ZIP.
  *   - An SVG file named "WRSS_WIT_Logo.svg".
  *   - Images named "download.png", "copy.png", and "done.png" to update button states.
  *   - Appropriate HTML elements with the IDs referenced below.
@@ -21,16 +59,42 @@
 // 1. ELEMENT REFERENCES & GLOBAL CONSTANTS
 // --------------------------------------------------------------------
 
+const generatorForm = document.getElementById("generator-form");
+
+const contentContainer = document.getElementById("title-container");
 const textInput = document.getElementById("text");
 
+const contentTypeSelect = document.getElementById("contentType");
+const contentForms = document.querySelectorAll(".content-form");
+
+const qrImportZone = document.getElementById("qr-import");
+const qrImportInput = document.getElementById("qrImportFile");
+const qrImportStatus = document.getElementById("qr-import-status");
+const qrImportFigure = document.getElementById("qr-import-figure");
+const qrImportOriginal = document.getElementById("qr-import-original");
+const qrCompareCloseBtn = document.getElementById("qrCompareCloseBtn");
+
 const qrContainer = document.getElementById("qr-container");
 
 const qrCanvas = document.getElementById("canvas");
+const quietZoneOverlay = document.getElementById("quiet-zone-overlay");
 
 const qrColorInput = document.getElementById("qrColor");
 
 const bgColorInput = document.getElementById("bgColor");
 
+const qrFillTypeSelect = document.getElementById("qrFillType");
+const qrGradientOptions = document.getElementById("qr-gradient-options");
+const qrGradientStops = document.getElementById("qrGradientStops");
+const addQrStopBtn = document.getElementById("addQrStop");
+const qrGradientAngleInput = document.getElementById("qrGradientAngle");
+
+const bgFillTypeSelect = document.getElementById("bgFillType");
+const bgGradientOptions = document.getElementById("bg-gradient-options");
+const bgGradientStops = document.getElementById("bgGradientStops");
+const addBgStopBtn = document.getElementById("addBgStop");
+const bgGradientAngleInput = document.getElementById("bgGradientAngle");
+
 const downloadPngBtn = document.getElementById("downloadPngBtn");
 const downloadPngBtnImg = document.getElementById("download-png-button-img");
 
@@ -40,11 +104,23 @@ const downloadSvgBtnImg = document.getElementById("download-svg-button-img");
 
 const copyBtn = document.getElementById("copyBtn");
 const copyBtnImg = document.getElementById("copy-button-img");
+const copyMenu = document.getElementById("copy-menu");
+const copyStatus = document.getElementById("copy-status");
 
 const saveBtns = document.getElementById("save-buttons");
 
+const scanStatus = document.getElementById("scan-status");
+
 const transparentBg = document.getElementById("transparentBg");
 
+const backingPanelCheckbox = document.getElementById("backingPanel");
+
+const contrastWarning = document.getElementById("contrast-warning");
+const contrastMessage = document.getElementById("contrast-message");
+const swapColorsBtn = document.getElementById("swapColorsBtn");
+const darkenFgBtn = document.getElementById("darkenFgBtn");
+const addPanelBtn = document.getElementById("addPanelBtn");
+
 const includeLogoCheckbox = document.getElementById("includeLogo");
 
 const bgImageInput = document.getElementById("bg-image");
@@ -59,44 +135,166 @@ const addImageIcon = document.getElementById("add-image-icon");
 const addImageLogo = document.getElementById("add-image-logo");
 
 const removeBgImageBtn = document.getElementById("image-remove-button");
+const bgImageOptionsContainer = document.getElementById("bg-image-options");
+const bgImageFitSelect = document.getElementById("bgImageFit");
+const bgImageOpacityInput = document.getElementById("bgImageOpacity");
+const bgImageBlurInput = document.getElementById("bgImageBlur");
+const halftoneCheckbox = document.getElementById("halftone");
 
 const logoImageContainer = document.getElementById("logo-image-container");
+const logoImagePreview = document.getElementById("logo-image-preview");
 
 const logoRemoveButton = document.getElementById("logo-remove-button");
 
+const logoProcessingContainer = document.getElementById("logo-processing");
+const logoTrimCheckbox = document.getElementById("logoTrim");
+const logoRemoveWhiteCheckbox = document.getElementById("logoRemoveWhite");
+const logoPaddingInput = document.getElementById("logoPadding");
+const logoStatus = document.getElementById("logo-status");
+
+const logoStyleContainer = document.getElementById("logo-style");
+const logoScaleInput = document.getElementById("logoScale");
+const logoShapeSelect = document.getElementById("logoShape");
+const logoColorModeSelect = document.getElementById("logoColorMode");
+const logoColorInput = document.getElementById("logoColor");
+const logoPlateSelect = document.getElementById("logoPlate");
+const logoPlateColorInput = document.getElementById("logoPlateColor");
+const logoBorderWidthInput = document.getElementById("logoBorderWidth");
+const logoBorderColorInput = document.getElementById("logoBorderColor");
+const logoSafeClampCheckbox = document.getElementById("logoSafeClamp");
+const logoInfo = document.getElementById("logo-info");
+
+/** MIME types accepted for the custom logo. */
+const LOGO_FILE_TYPES = [
+    "image/svg+xml",
+    "image/png",
+    "image/jpeg",
+    "image/webp",
+];
+
+const eccLevelSelect = document.getElementById("eccLevel");
+const qrVersionSelect = document.getElementById("qrVersion");
+const forceVersionCheckbox = document.getElementById("forceVersion");
+const maskPatternSelect = document.getElementById("maskPattern");
+const encodingModeSelect = document.getElementById("encodingMode");
+const quietZoneInput = document.getElementById("quietZone");
+const showQuietZoneCheckbox = document.getElementById("showQuietZone");
+
+const qrInfo = document.getElementById("qr-info");
+
+const moduleStyleSelect = document.getElementById("moduleStyle");
+
+const eyeOuterShapeSelect = document.getElementById("eyeOuterShape");
+const eyeInnerShapeSelect = document.getElementById("eyeInnerShape");
+const customEyeColorsCheckbox = document.getElementById("customEyeColors");
+const eyeColorsContainer = document.getElementById("eye-colors");
+const eyeOuterColorInput = document.getElementById("eyeOuterColor");
+const eyeInnerColorInput = document.getElementById("eyeInnerColor");
+
+const frameStyleSelect = document.getElementById("frameStyle");
+const frameOptionsContainer = document.getElementById("frame-options");
+const frameTextInput = document.getElementById("frameText");
+const frameTextPositionSelect = document.getElementById("frameTextPosition");
+const frameFontSelect = document.getElementById("frameFont");
+const frameColorInput = document.getElementById("frameColor");
+const framePaddingInput = document.getElementById("framePadding");
+
+const batchInput = document.getElementById("batchInput");
+const batchFileInput = document.getElementById("batchFile");
+const batchPngCheckbox = document.getElementById("batchPng");
+const batchSvgCheckbox = document.getElementById("batchSvg");
+const batchPngSizeInput = document.getElementById("batchPngSize");
+const batchGenerateBtn = document.getElementById("batchGenerateBtn");
+const batchStatus = document.getElementById("batch-status");
+
+const pdfSourceSelect = document.getElementById("pdfSource");
+const pdfPageSizeSelect = document.getElementById("pdfPageSize");
+const pdfOrientationSelect = document.getElementById("pdfOrientation");
+const pdfColumnsInput = document.getElementById("pdfColumns");
+const pdfRowsInput = document.getElementById("pdfRows");
+const pdfMarginInput = document.getElementById("pdfMargin");
+const pdfGapInput = document.getElementById("pdfGap");
+const pdfCropMarksCheckbox = document.getElementById("pdfCropMarks");
+const pdfCaptionsCheckbox = document.getElementById("pdfCaptions");
+const pdfCaptionTextInput = document.getElementById("pdfCaptionText");
+const pdfDownloadBtn = document.getElementById("pdfDownloadBtn");
+const pdfStatus = document.getElementById("pdf-status");
+
+const exportDialog = document.getElementById("export-dialog");
+const exportSizeInput = document.getElementById("exportSize");
+const exportUnitSelect = document.getElementById("exportUnit");
+const exportDpiInput = document.getElementById("exportDpi");
+const exportFormatSelect = document.getElementById("exportFormat");
+const exportQualityLabel = document.getElementById("export-quality-label");
+const exportQualityInput = document.getElementById("exportQuality");
+const exportCropCheckbox = document.getElementById("exportCrop");
+const exportSummary = document.getElementById("export-summary");
+const exportConfirmBtn = document.getElementById("exportConfirmBtn");
+const exportCancelBtn = document.getElementById("exportCancelBtn");
+
+const presetList = document.getElementById("presetList");
+const presetNameInput = document.getElementById("presetName");
+const savePresetBtn = document.getElementById("savePresetBtn");
+const exportPresetsBtn = document.getElementById("exportPresetsBtn");
+const importPresetsFile = document.getElementById("importPresetsFile");
+const presetStatus = document.getElementById("preset-status");
+
+const historySearchInput = document.getElementById("historySearch");
+const clearHistoryBtn = document.getElementById("clearHistoryBtn");
+const historyList = document.getElementById("historyList");
+const historyStatus = document.getElementById("history-status");
+
+const undoBtn = document.getElementById("undoBtn");
+const redoBtn = document.getElementById("redoBtn");
+
+const copyLinkBtn = document.getElementById("copyLinkBtn");
+const shareStatus = document.getElementById("share-status");
+
 const rotationRange = document.getElementById("rotationRange");
 const rotationValueDisplay = document.getElementById("rotationValue");
 
 /** Path to the SVG logo that can be placed in the center of the QR. */
 const logoSrc = "images/logo/WRSS_WIT_Logo.svg";
 
-/** Margin around the QR code in the offscreen canvas (in px). */
-const margin = 20;
-
-/** Factor by which we create a larger offscreen canvas (for sharper rendering). */
-const offscreenScale = 3;
-
-/** The size of the QR code on the screen (calculated dynamically). */
-let qrSize;
-
 /** The display size for the main canvas (matches container width). */
 let displaySize;
 
-/** The size (in px) of the logo, relative to the QR code. */
-let logoSize;
-
-/** The scaled (actual) size for the logo in the offscreen canvas. */
-let scaledLogoSize;
-
-/** The portion of the QR code’s center that we skip drawing (so the logo remains clear). */
-let scaledSafeZone;
-
 /** The user-chosen background image (base64 or blob URL). */
 let backgroundImageSrc = null;
 
+/** Average relative luminance (0–1) of the background image, once computed. */
+let backgroundImageLuminance = null;
+
 /** Timer reference for debouncing generateQR calls. */
 let debounceTimer;
 
+/** Height to width ratio of the last preview image (above 1 with a frame). */
+let previewAspectRatio = 1;
+
+/** Number of the latest preview render; older renders drop their result. */
+let renderToken = 0;
+
+/** Timer reference for debouncing the scannability check. */
+let verifyTimer;
+
+/** Number of the latest code import; older imports drop their result. */
+let importToken = 0;
+
+/** Object URL of the imported image shown next to the preview, or null. */
+let importedImageUrl = null;
+
+/** Result of the last scannability check ({ ok, message }), or null if none ran; `ok` is null when nothing could be decoded with. */
+let lastScanResult = null;
+
+/** Timer reference for debouncing the history entry of the current code. */
+let historyTimer;
+
+/** The generator state as the page loads, before any link is applied. */
+let defaultGeneratorState = null;
+
+/** DTSTAMP of the event payload, kept while the event fields stay the same. */
+let eventStamp = { key: null, value: "" };
+
 // --------------------------------------------------------------------
 // 2. HIGH-DPI CANVAS ADJUSTMENT
 // --------------------------------------------------------------------
@@ -131,46 +329,79 @@ function adjustCanvasForHighDPI(canvas, width, height) {
  * Re-generates the QR code after computing the new dimensions.
  */
 function resizeCanvasToContainer() {
-    // For a responsive square that fits the container well,
-    // we use half of the container width * sqrt(2).
-    qrSize = (qrContainer.offsetWidth * Math.sqrt(2)) / 2;
+    // The canvas fills the container; the code itself is scaled down so it
+    // fits at any rotation (see getRotationExpansion)
     displaySize = qrContainer.offsetWidth;
 
-    // Compute derived sizing for the logo and safe zone.
-    logoSize = qrSize * 0.2;
-    scaledLogoSize = logoSize * offscreenScale;
-    scaledSafeZone = scaledLogoSize * 1.1;
-
     // Re-generate the QR with the updated sizes.
     generateQR();
 }
 
 /**
  * Toggles the "disabled" classes for background-related controls depending on
- * whether the user wants a transparent background, or has chosen a background image.
+ * whether the user wants a transparent background, or has chosen a background
+ * image (the background color stays in use under it).
  */
 function toggleDisabled() {
-    if (transparentBg.checked) {
-        bgColorInput.classList.add("disabled");
-        imageContainer.classList.add("disabled");
-        removeBgImageBtn.classList.add("disabled");
-    } else if (backgroundImageSrc) {
-        bgColorInput.classList.add("disabled");
-        imageContainer.classList.remove("disabled");
-        removeBgImageBtn.classList.remove("disabled");
-    } else {
-        bgColorInput.classList.remove("disabled");
-        imageContainer.classList.remove("disabled");
-        removeBgImageBtn.classList.remove("disabled");
-    }
+    const transparent = transparentBg.checked;
+    bgColorInput.classList.toggle("disabled", transparent);
+    imageContainer.classList.toggle("disabled", transparent);
+    removeBgImageBtn.classList.toggle("disabled", transparent);
+    bgImageOptionsContainer.classList.toggle(
+        "disabled",
+        transparent || !backgroundImageSrc
+    );
+
+    eyeColorsContainer.classList.toggle(
+        "disabled",
+        !customEyeColorsCheckbox.checked
+    );
+    frameOptionsContainer.classList.toggle(
+        "disabled",
+        frameStyleSelect.value === "none"
+    );
 
     if (includeLogoCheckbox.checked) {
         logoImageContainer.classList.remove("disabled");
         logoRemoveButton.classList.remove("disabled");
+        logoProcessingContainer.classList.remove("disabled");
+        logoStyleContainer.classList.remove("disabled");
     } else {
         logoImageContainer.classList.add("disabled");
         logoRemoveButton.classList.add("disabled");
+        logoProcessingContainer.classList.add("disabled");
+        logoStyleContainer.classList.add("disabled");
     }
+
+    // Without a shape there is nothing to put a plate or border on
+    const shapeless = logoShapeSelect.value === "none";
+    logoPlateSelect.disabled = shapeless;
+    logoPlateColorInput.disabled =
+        shapeless || logoPlateSelect.value !== "color";
+    logoBorderWidthInput.disabled = shapeless;
+    logoBorderColorInput.disabled = shapeless;
+    logoColorInput.disabled = logoColorModeSelect.value !== "custom";
+}
+
+/**
+ * Shows the gradient options (extra color stops, angle) for fills that use a
+ * gradient. The angle only applies to linear gradients. A gradient needs at
+ * least two colors, so a second stop is added when none exists yet.
+ */
+function updateFillControls() {
+    [
+        [qrFillTypeSelect, qrGradientOptions, qrGradientStops, "#3a5bd9"],
+        [bgFillTypeSelect, bgGradientOptions, bgGradientStops, "#dde6ff"],
+    ].forEach(([fillTypeSelect, options, stops, defaultStop]) => {
+        const type = fillTypeSelect.value;
+        options.style.display = type === "solid" ? "none" : "flex";
+        options.querySelector(".gradient-angle").style.display =
+            type === "linear" ? "flex" : "none";
+
+        if (type !== "solid" && !stops.children.length) {
+            addGradientStop(stops, defaultStop);
+        }
+    });
 }
 
 // --------------------------------------------------------------------
@@ -189,753 +420,3639 @@ function generateQRDebounced() {
 }
 
 // --------------------------------------------------------------------
-// 5. MAIN QR GENERATION
+// 5. CONTENT TYPES & PAYLOADS
 // --------------------------------------------------------------------
 
 /**
- * Generates or re-generates the QR code with all current user inputs:
- * - Text content
- * - QR and BG colors
- * - Transparent BG or BG image
- * - Rotation
- * - Optional logo
+ * Returns the trimmed value of a content form field.
  *
- * Draws the result onto the main canvas (qrCanvas) with the chosen rotation.
+ * @param {string} id - The ID of the input/select/textarea
+ * @returns {string}
  */
-async function generateQR() {
-    // Reset the "save" button icons to their default images
-    downloadPngBtnImg.src = "images/png.png";
-    downloadSvgBtnImg.src = "images/svg.png";
-    // downloadBtnImg.src = "images/download.png";
-    copyBtnImg.src = "images/copy.png";
-
-    // Gather current user inputs
-    const text = textInput.value.trim();
-    const qrColor = qrColorInput.value;
-    const bgColor = bgColorInput.value;
-
-    // If no text is provided, clear the canvas and hide the "save" buttons
-    if (!text) {
-        const mainCtx = adjustCanvasForHighDPI(
-            qrCanvas,
-            displaySize,
-            displaySize
-        );
-        mainCtx.clearRect(0, 0, displaySize, displaySize);
-
-        saveBtns.style.display = "none";
-        return;
-    }
-
-    // Create an offscreen canvas to draw the raw QR code
-    const offscreenCanvas = document.createElement("canvas");
-    offscreenCanvas.width = qrSize * offscreenScale;
-    offscreenCanvas.height = qrSize * offscreenScale;
-    const offscreenCtx = offscreenCanvas.getContext("2d");
-
-    // Draw the QR code (modules + optional BG + optional logo) onto the offscreen context
-    await drawQrToCtx(offscreenCtx, text, qrColor, bgColor);
-
-    // Get the user-chosen rotation (in degrees)
-    const rotationDegrees = parseFloat(rotationRange.value) || 0;
-
-    // Prepare the main (visible) canvas
-    const mainCtx = adjustCanvasForHighDPI(qrCanvas, displaySize, displaySize);
-    mainCtx.clearRect(0, 0, displaySize, displaySize);
-
-    // Apply the rotation and draw the offscreen QR
-    mainCtx.save();
-    mainCtx.translate(displaySize / 2, displaySize / 2);
-    mainCtx.rotate((rotationDegrees * Math.PI) / 180);
-
-    // Scale the offscreen content so it fits within the display size
-    // even when rotated (up to 45°). sqrt(2) accounts for diagonal bounding box growth.
-    const sqrt2 = Math.SQRT2;
-    const scaledFactor = displaySize / (900 * sqrt2);
-    mainCtx.scale(scaledFactor, scaledFactor);
-
-    // Center the offscreen image (900×900 used below for consistency)
-    const offsetX = -900 / 2;
-    const offsetY = -900 / 2;
-    mainCtx.drawImage(offscreenCanvas, offsetX, offsetY, 900, 900);
-    mainCtx.restore();
+function fieldValue(id) {
+    return document.getElementById(id).value.trim();
+}
 
-    // Display the "Download" and "Copy" buttons
-    saveBtns.style.display = "flex";
+/**
+ * Escapes the characters that have a special meaning inside a `WIFI:` payload
+ * (backslash, semicolon, comma, colon and double quote).
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeWifiValue(value) {
+    return value.replace(/([\\;,:"])/g, "\\$1");
 }
 
-// --------------------------------------------------------------------
-// 6. DRAWING THE QR + OPTIONAL LOGO
-// --------------------------------------------------------------------
+/**
+ * Escapes a text value for a vCard 3.0 (RFC 2426) or iCalendar (RFC 5545)
+ * content line: backslashes, semicolons, commas and line breaks.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeContentLineValue(value) {
+    return value
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
 
 /**
- * Draws the QR code (and optional background/logo) onto a 2D context.
+ * Converts a `datetime-local` value ("2024-05-01T18:30") into an
+ * iCalendar floating DATE-TIME ("20240501T183000").
  *
- * @param {CanvasRenderingContext2D} ctx - The 2D context of the offscreen canvas
- * @param {string} text - The text/URL to encode
- * @param {string} qrColor - Color for QR modules
- * @param {string} bgColor - Background color (if not transparent/using an image)
+ * @param {string} value
+ * @returns {string}
  */
-async function drawQrToCtx(ctx, text, qrColor, bgColor) {
-    const width = qrSize * offscreenScale;
-    const height = qrSize * offscreenScale;
+function toIcalDateTime(value) {
+    const [date, time = "00:00"] = value.split("T");
+    const [hours, minutes, seconds = "00"] = time.split(":");
+    return `${date.replace(/-/g, "")}T${hours}${minutes}${seconds}`;
+}
 
-    // 1) Clear offscreen canvas
-    ctx.clearRect(0, 0, width, height);
+/**
+ * Formats a date as an iCalendar UTC DATE-TIME ("20240501T163000Z").
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function toIcalUtcDateTime(date) {
+    return `${date.toISOString().slice(0, 19).replace(/[-:]/g, "")}Z`;
+}
 
-    // 2) Draw background (color or image) if applicable
-    if (backgroundImageSrc && !transparentBg.checked) {
-        // Draw user-selected image as background
-        await drawBgImage(ctx, backgroundImageSrc, width, height);
-    } else if (!transparentBg.checked) {
-        // If no image and not transparent => fill with bgColor
-        ctx.fillStyle = bgColor;
-        ctx.fillRect(0, 0, width, height);
+/**
+ * A short hex hash (32-bit FNV-1a) of a string, for identifiers that must
+ * stay the same as long as the hashed content does.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
     }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+}
 
-    // 3) Generate the QR code data (error correction: H)
-    const qrCode = await QRCode.create(text, { errorCorrectionLevel: "H" });
-
-    // 4) Draw QR modules
-    const marginPx = margin * offscreenScale;
-    const usableSize = (qrSize - 2 * margin) * offscreenScale;
-    const cellSize = usableSize / qrCode.modules.size;
-
-    // "Safe zone" for the logo in the center
-    const logoStart = marginPx + (usableSize - scaledSafeZone) / 2;
-    const logoEnd = logoStart + scaledSafeZone;
+/**
+ * Strips everything except digits and a leading "+" from a phone number.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizePhoneNumber(value) {
+    return value.replace(/(?!^\+)[^\d]/g, "");
+}
 
-    qrCode.modules.data.forEach((bit, index) => {
-        const col = index % qrCode.modules.size;
-        const row = Math.floor(index / qrCode.modules.size);
+/**
+ * Payload builders for every content type offered by the `contentType` select.
+ * Each returns the string to encode, or an empty string when the form does not
+ * hold enough data yet (which clears the preview, just like an empty `#text`).
+ */
+const payloadBuilders = {
+    text: () => textInput.value.trim(),
 
-        const x = marginPx + col * cellSize;
-        const y = marginPx + row * cellSize;
-        const cellRight = x + cellSize;
-        const cellBottom = y + cellSize;
+    wifi: () => {
+        const ssid = fieldValue("wifiSsid");
+        if (!ssid) return "";
 
-        // Check if this module is within the logo's "safe zone"
-        const intersectsSafeZone = !(
-            cellRight < logoStart ||
-            x > logoEnd ||
-            cellBottom < logoStart ||
-            y > logoEnd
-        );
+        const security = fieldValue("wifiSecurity");
+        const password = document.getElementById("wifiPassword").value;
+        const hidden = document.getElementById("wifiHidden").checked;
 
-        // If the user wants a logo and this cell overlaps the safe zone, skip it
-        if (includeLogoCheckbox.checked && intersectsSafeZone) return;
-
-        // Otherwise, fill the module (true => "dark" module)
-        if (bit) {
-            ctx.fillStyle = qrColor;
-            ctx.fillRect(
-                Math.floor(x),
-                Math.floor(y),
-                Math.ceil(cellSize),
-                Math.ceil(cellSize)
+        let payload = `WIFI:T:${security};S:${escapeWifiValue(ssid)};`;
+        if (security !== "nopass" && password) {
+            payload += `P:${escapeWifiValue(password)};`;
+        }
+        if (hidden) payload += "H:true;";
+        return `${payload};`;
+    },
+
+    vcard: () => {
+        const firstName = fieldValue("vcardFirstName");
+        const lastName = fieldValue("vcardLastName");
+        const org = fieldValue("vcardOrg");
+        const fullName = [firstName, lastName].filter(Boolean).join(" ");
+        if (!fullName && !org) return "";
+
+        const address = [
+            fieldValue("vcardStreet"),
+            fieldValue("vcardCity"),
+            fieldValue("vcardZip"),
+            fieldValue("vcardCountry"),
+        ];
+
+        const lines = [
+            "BEGIN:VCARD",
+            "VERSION:3.0",
+            `N:${escapeContentLineValue(lastName)};${escapeContentLineValue(
+                firstName
+            )};;;`,
+            `FN:${escapeContentLineValue(fullName || org)}`,
+        ];
+        if (org) lines.push(`ORG:${escapeContentLineValue(org)}`);
+        if (fieldValue("vcardTitle")) {
+            lines.push(
+                `TITLE:${escapeContentLineValue(fieldValue("vcardTitle"))}`
             );
         }
-        // For "false" => fill with bgColor if not transparent/no image
-        else if (!transparentBg.checked && !backgroundImageSrc) {
-            ctx.fillStyle = bgColor;
-            ctx.fillRect(
-                Math.floor(x),
-                Math.floor(y),
-                Math.ceil(cellSize),
-                Math.ceil(cellSize)
+        if (fieldValue("vcardPhone")) {
+            lines.push(`TEL:${normalizePhoneNumber(fieldValue("vcardPhone"))}`);
+        }
+        if (fieldValue("vcardEmail")) {
+            lines.push(
+                `EMAIL:${escapeContentLineValue(fieldValue("vcardEmail"))}`
             );
         }
-    });
+        if (fieldValue("vcardUrl")) {
+            // URL is a URI value, not text: escaping its commas breaks links
+            lines.push(`URL:${fieldValue("vcardUrl")}`);
+        }
+        if (address.some(Boolean)) {
+            // ADR: PO box; extended; street; locality; region; postal code; country
+            const [street, city, zip, country] = address.map(
+                escapeContentLineValue
+            );
+            lines.push(`ADR:;;${street};${city};;${zip};${country}`);
+        }
+        lines.push("END:VCARD");
+        return lines.join("\r\n");
+    },
+
+    email: () => {
+        const address = fieldValue("emailAddress");
+        if (!address) return "";
+
+        const params = [];
+        const subject = fieldValue("emailSubject");
+        const body = document.getElementById("emailBody").value;
+        if (subject) params.push(`subject=${encodeURIComponent(subject)}`);
+        if (body.trim()) params.push(`body=${encodeURIComponent(body)}`);
+
+        const encodedAddress = encodeURIComponent(address).replace(/%40/g, "@");
+        return `mailto:${encodedAddress}${
+            params.length ? `?${params.join("&")}` : ""
+        }`;
+    },
+
+    sms: () => {
+        const number = normalizePhoneNumber(fieldValue("smsNumber"));
+        if (!number) return "";
+        return `SMSTO:${number}:${document.getElementById("smsMessage").value}`;
+    },
+
+    phone: () => {
+        const number = normalizePhoneNumber(fieldValue("phoneNumber"));
+        return number ? `tel:${number}` : "";
+    },
+
+    geo: () => {
+        const lat = parseFloat(fieldValue("geoLat"));
+        const lng = parseFloat(fieldValue("geoLng"));
+        if (!Number.isFinite(lat) || Math.abs(lat) > 90) return "";
+        if (!Number.isFinite(lng) || Math.abs(lng) > 180) return "";
+        return `geo:${lat},${lng}`;
+    },
+
+    event: () => {
+        const title = fieldValue("eventTitle");
+        const start = fieldValue("eventStart");
+        if (!title || !start) return "";
+
+        const end = fieldValue("eventEnd");
+        const location = fieldValue("eventLocation");
+        const description = document
+            .getElementById("eventDescription")
+            .value.trim();
+
+        // UID and DTSTAMP are required; both stay the same while the event
+        // does, so re-rendering the same event gives the same code
+        const key = [title, start, end, location, description].join("\n");
+        if (eventStamp.key !== key) {
+            eventStamp = { key, value: toIcalUtcDateTime(new Date()) };
+        }
 
-    // 5) Draw logo in the center if requested
-    if (includeLogoCheckbox.checked) {
-        const centerX = marginPx + usableSize / 2;
-        const centerY = marginPx + usableSize / 2;
-
-        const logoToUse = customLogoSrc ? customLogoSrc : logoSrc;
-        await drawSvgToCanvas(
-            logoToUse,
-            ctx.canvas,
-            centerX,
-            centerY,
-            scaledLogoSize,
-            scaledLogoSize,
-            bgColor,
-            qrColor
-        );
-    }
-}
+        const lines = [
+            "BEGIN:VCALENDAR",
+            "VERSION:2.0",
+            "PRODID:-//WRSS WIT//Generator kodow QR//PL",
+            "BEGIN:VEVENT",
+            `UID:${hashString(key)}-${toIcalDateTime(start)}@qr-generator`,
+            `DTSTAMP:${eventStamp.value}`,
+            `SUMMARY:${escapeContentLineValue(title)}`,
+            `DTSTART:${toIcalDateTime(start)}`,
+        ];
+        if (end) lines.push(`DTEND:${toIcalDateTime(end)}`);
+        if (location)
+            lines.push(`LOCATION:${escapeContentLineValue(location)}`);
+        if (description) {
+            lines.push(`DESCRIPTION:${escapeContentLineValue(description)}`);
+        }
+        lines.push("END:VEVENT", "END:VCALENDAR");
+        return lines.join("\r\n");
+    },
+};
 
-// --------------------------------------------------------------------
-// 7. DRAWING THE BACKGROUND IMAGE
-// --------------------------------------------------------------------
+/**
+ * Builds the payload to encode for the currently selected content type.
+ *
+ * @returns {string} The payload, or an empty string if there is nothing to encode
+ */
+function getQrText() {
+    const build =
+        payloadBuilders[contentTypeSelect.value] || payloadBuilders.text;
+    return build();
+}
 
 /**
- * Draws a given image (src) onto the entire canvas background.
+ * Base name for downloaded files: the entered text for plain text/URL codes,
+ * otherwise the content type (e.g. "wifi_QR_Code.png").
  *
- * @param {CanvasRenderingContext2D} ctx - The 2D context
- * @param {string} src - The base64 or blob URL for the image
- * @param {number} width - Canvas width
- * @param {number} height - Canvas height
- * @returns {Promise<void>}
+ * @returns {string}
  */
-function drawBgImage(ctx, src, width, height) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.onload = () => {
-            ctx.drawImage(img, 0, 0, width, height);
-            resolve();
-        };
-        img.onerror = reject;
-        img.src = src;
+function getExportName() {
+    return contentTypeSelect.value === "text"
+        ? textInput.value.trim()
+        : contentTypeSelect.value;
+}
+
+/**
+ * Shows the form matching the selected content type and hides the others.
+ */
+function showContentForm() {
+    contentForms.forEach((form) => {
+        form.style.display =
+            form.dataset.type === contentTypeSelect.value ? "" : "none";
     });
 }
 
 // --------------------------------------------------------------------
-// 8. DRAWING THE SVG LOGO
+// 6. ENCODING OPTIONS & CAPACITY
 // --------------------------------------------------------------------
 
 /**
- * Draws an SVG logo onto the given canvas at the specified center/size.
- * Optionally inserts a background rect if not transparent and recolors strokes.
- *
- * @param {string} svgPath - Path/URL to the SVG file
- * @param {HTMLCanvasElement} canvas - The target canvas
- * @param {number} centerX - Center X coordinate
- * @param {number} centerY - Center Y coordinate
- * @param {number} width - Logo width (in px)
- * @param {number} height - Logo height (in px)
- * @param {string} bgColor - Background color (if not transparent / no background image)
- * @param {string} qrColor - Color for strokes/fills (as needed)
- * @returns {Promise<void>}
+ * Fills the version select with versions 1–40 (next to the "Auto" option).
  */
-async function drawSvgToCanvas(
-    svgPath,
-    canvas,
-    centerX,
-    centerY,
-    width,
-    height,
-    bgColor,
-    qrColor
-) {
-    // Fetch the SVG
-    const response = await fetch(svgPath);
-    let svgText = await response.text();
-
-    // Insert a rect if not transparent and no background image is used
-    if (!transparentBg.checked && !backgroundImageSrc) {
-        svgText = svgText.replace(
-            /<svg([^>]*)>/,
-            `<svg$1><rect width="100%" height="100%" fill="${bgColor}" />`
+function populateVersionOptions() {
+    for (let version = 1; version <= 40; version++) {
+        const size = version * 4 + 17;
+        qrVersionSelect.add(
+            new Option(`${version} (${size}×${size})`, String(version))
         );
     }
+}
 
-    // Recolor all existing strokes in the SVG to match the QR color
-    svgText = svgText.replace(/stroke="[^"]*"/g, `stroke="${qrColor}"`);
+/**
+ * Reads the encoding controls.
+ *
+ * @returns {{errorCorrectionLevel: string, version: (number|undefined), forceVersion: boolean, maskPattern: (number|undefined), mode: string}}
+ */
+function getEncodingOptions() {
+    return {
+        errorCorrectionLevel: eccLevelSelect.value,
+        version: parseInt(qrVersionSelect.value, 10) || undefined,
+        forceVersion: forceVersionCheckbox.checked,
+        maskPattern:
+            maskPatternSelect.value === ""
+                ? undefined
+                : parseInt(maskPatternSelect.value, 10),
+        mode: encodingModeSelect.value,
+    };
+}
 
-    // Convert the modified SVG into a Blob/URL
-    const svgBlob = new Blob([svgText], { type: "image/svg+xml" });
-    const url = URL.createObjectURL(svgBlob);
+/** Quiet zone the standard asks for, in modules. */
+const STANDARD_QUIET_ZONE = 4;
 
-    // Draw the SVG onto the canvas
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.onload = () => {
-            const ctx = canvas.getContext("2d");
-            ctx.save();
+/**
+ * @returns {number} The quiet zone width in modules (0–MAX_QUIET_ZONE)
+ */
+function getQuietZone() {
+    const value = parseInt(quietZoneInput.value, 10);
+    if (Number.isNaN(value)) return STANDARD_QUIET_ZONE;
+    return Math.min(Math.max(value, 0), MAX_QUIET_ZONE);
+}
+
+/**
+ * Updates the readout below the preview with the resulting version, module
+ * count and remaining capacity, or shows an error message.
+ *
+ * @param {Object|null} qrCode - The generated QR code, or null to clear / show an error
+ * @param {string} [errorMessage] - Message to show when the code could not be created
+ */
+function updateQrInfo(qrCode, errorMessage) {
+    qrInfo.classList.toggle("error", Boolean(errorMessage));
 
-            // Translate to the logo's center
-            ctx.translate(centerX, centerY);
+    if (!qrCode) {
+        qrInfo.textContent = errorMessage || "";
+        return;
+    }
 
-            // "Undo" the QR rotation for the logo, so it remains upright
-            const rotationDegrees = parseFloat(rotationRange.value) || 0;
-            ctx.rotate((-rotationDegrees * Math.PI) / 180);
+    const { level, usedBits, capacityBits } = getQrCapacity(qrCode);
+    const size = qrCode.modules.size;
+    const freeBytes = Math.floor((capacityBits - usedBits) / 8);
+    const usedPercent = Math.round((usedBits / capacityBits) * 100);
+
+    const quietZone = getQuietZone();
+    qrInfo.textContent =
+        `Wersja ${qrCode.version} · ${size}×${size} modułów · korekcja ${level}` +
+        ` · maska ${qrCode.maskPattern} · wolne ${freeBytes} B (zajęte ${usedPercent}%)` +
+        (quietZone < STANDARD_QUIET_ZONE
+            ? ` · strefa ciszy ${quietZone} mod. (norma: ${STANDARD_QUIET_ZONE})`
+            : "");
+}
 
-            // Clip to a circle, so the logo is circular
-            ctx.beginPath();
-            ctx.arc(0, 0, width / 2, 0, 2 * Math.PI);
-            ctx.closePath();
-            ctx.clip();
+/**
+ * Shows the largest logo the error correction level and version of the code
+ * can make up for, and what happens to a logo above that size (shrunk, left
+ * out, or drawn anyway with a warning).
+ *
+ * @param {Object|null} qrCode - The generated QR code, or null to clear
+ */
+function updateLogoInfo(qrCode) {
+    if (!qrCode || !includeLogoCheckbox.checked) {
+        logoInfo.textContent = "";
+        logoInfo.classList.remove("warning");
+        return;
+    }
 
-            // Draw the logo with center alignment
-            ctx.drawImage(img, -width / 2, -height / 2, width, height);
+    const { level } = getQrCapacity(qrCode);
+    const maxScale = getMaxLogoScale(qrCode, getQuietZone());
+    const scale = parseFloat(logoScaleInput.value);
+    const clamp = logoSafeClampCheckbox.checked;
+
+    let message = maxScale
+        ? `Bezpieczny rozmiar logo przy wersji ${qrCode.version} i korekcji ${level}: do ${maxScale}%.`
+        : `Przy wersji ${qrCode.version} i korekcji ${level} nawet najmniejsze logo zasłoni za dużo modułów.`;
+    if (scale > maxScale) {
+        if (!clamp) {
+            message += " Logo jest za duże – kod może się nie zeskanować.";
+        } else if (maxScale) {
+            message += ` Logo zmniejszono do ${maxScale}%.`;
+        } else {
+            message += " Logo pominięto – zwiększ poziom korekcji błędów.";
+        }
+    }
 
-            ctx.restore();
-            URL.revokeObjectURL(url);
-            resolve();
-        };
-        img.onerror = reject;
-        img.src = url;
-    });
+    logoInfo.textContent = message;
+    logoInfo.classList.toggle("warning", scale > maxScale && !clamp);
 }
 
 // --------------------------------------------------------------------
-// 9. DOWNLOAD / COPY LOGIC
+// 7. FILL CONTROLS (SOLID COLORS & GRADIENTS)
 // --------------------------------------------------------------------
 
 /**
- * Downloads the current displayed QR code from the main canvas as a PNG file.
- * The filename is based on the current text input.
+ * Reads a fill from its controls: the main color input acts as the first stop,
+ * the color inputs inside `stopsContainer` as the following ones.
+ *
+ * @param {HTMLInputElement} colorInput - The main color input
+ * @param {HTMLSelectElement} fillTypeSelect - Solid / linear / radial select
+ * @param {HTMLElement} stopsContainer - Container with the extra color stops
+ * @param {HTMLInputElement} angleInput - Gradient angle (degrees)
+ * @returns {Paint}
  */
-function downloadQRCode() {
-    const link = document.createElement("a");
-    link.download = `${textInput.value.trim()}_QR_Code.png`;
-    link.href = qrCanvas.toDataURL("image/png");
-    link.click();
+function readPaint(colorInput, fillTypeSelect, stopsContainer, angleInput) {
+    const stops = [...stopsContainer.querySelectorAll("input[type=color]")];
+    if (fillTypeSelect.value === "solid" || !stops.length) {
+        return solidPaint(colorInput.value);
+    }
 
-    // Indicate success (swap icon)
-    downloadPngImg.src = "images/done.png";
+    return {
+        type: fillTypeSelect.value,
+        colors: [colorInput.value, ...stops.map((stop) => stop.value)],
+        angle: parseFloat(angleInput.value) || 0,
+    };
+}
 
-    resetButtonImage(downloadPngBtnImg, "images/png.png");
+/** @returns {Paint} The fill of the QR modules */
+function getQrPaint() {
+    return readPaint(
+        qrColorInput,
+        qrFillTypeSelect,
+        qrGradientStops,
+        qrGradientAngleInput
+    );
+}
+
+/** @returns {Paint} The fill of the background */
+function getBgPaint() {
+    return readPaint(
+        bgColorInput,
+        bgFillTypeSelect,
+        bgGradientStops,
+        bgGradientAngleInput
+    );
 }
 
 /**
- * Downloads the current QR code as an SVG file.
+ * Appends a removable color stop to a gradient stop container.
+ *
+ * @param {HTMLElement} container - The gradient stop container
+ * @param {string} color - Initial color of the stop
  */
-function downloadQRCodeAsSVG() {
-    // Get the current text content
-    const text = textInput.value.trim();
+function addGradientStop(container, color) {
+    const stop = document.createElement("span");
+    stop.className = "gradient-stop";
 
-    if (!text) {
-        return; // Don't generate if there's no text
-    }
+    const input = document.createElement("input");
+    input.type = "color";
+    input.value = color;
 
-    // Create a QR code using the same approach as in generateQR
-    const qrCode = QRCode.create(text, { errorCorrectionLevel: "H" });
+    const removeButton = document.createElement("button");
+    removeButton.className = "remove-stop";
+    removeButton.textContent = "×";
+    removeButton.title = "Usuń kolor";
 
-    // Get current colors and settings
-    const qrColor = qrColorInput.value;
-    const bgColor = transparentBg.checked ? "transparent" : bgColorInput.value;
-    const rotationDegrees = parseFloat(rotationRange.value) || 0;
-
-    // Calculate how much larger the SVG needs to be to accommodate rotation
-    // Using the diagonal as the maximum dimension (sqrt(2) ≈ 1.414 times larger for 45° rotation)
-    const rotationRadians = Math.abs((rotationDegrees * Math.PI) / 180);
-    const expansionFactor = Math.max(
-        Math.abs(Math.cos(rotationRadians)) +
-            Math.abs(Math.sin(rotationRadians)),
-        1
-    );
+    stop.append(input, removeButton);
+    container.appendChild(stop);
+}
 
-    // Base size for the QR code
-    const baseSize = 1000;
-    // Expanded size to prevent cutoff during rotation
-    const expandedSize = Math.ceil(baseSize * expansionFactor);
+// --------------------------------------------------------------------
+// 8. RENDER OPTIONS
+// --------------------------------------------------------------------
 
-    // Add padding around the QR code (10% of base size)
-    const paddingSize = baseSize * 0.1;
-    const size = expandedSize + paddingSize * 2;
+/**
+ * Collects the current state of the style controls into the plain options
+ * object the rendering core works from (see RenderOptions in qrgen.js).
+ *
+ * @param {Partial<RenderOptions>} [overrides] - Per-export settings (e.g. caption, crop)
+ * @returns {RenderOptions}
+ */
+function getRenderOptions(overrides = {}) {
+    const customEyes = customEyeColorsCheckbox.checked;
+    return {
+        ...getEncodingOptions(),
+        qrColor: getQrPaint(),
+        bgColor: getBgPaint(),
+        transparent: transparentBg.checked,
+        backgroundImage: backgroundImageSrc,
+        backgroundFit: bgImageFitSelect.value,
+        backgroundOpacity: parseFloat(bgImageOpacityInput.value),
+        backgroundBlur: parseFloat(bgImageBlurInput.value) || 0,
+        halftone: halftoneCheckbox.checked,
+        backingPanel: backingPanelCheckbox.checked,
+        moduleStyle: moduleStyleSelect.value,
+        eyeOuterShape: eyeOuterShapeSelect.value,
+        eyeInnerShape: eyeInnerShapeSelect.value,
+        eyeOuterColor: customEyes ? eyeOuterColorInput.value : null,
+        eyeInnerColor: customEyes ? eyeInnerColorInput.value : null,
+        logo: includeLogoCheckbox.checked ? customLogoSrc || logoSrc : null,
+        logoTrim: logoTrimCheckbox.checked,
+        logoRemoveWhite: logoRemoveWhiteCheckbox.checked,
+        logoColorMode: logoColorModeSelect.value,
+        logoColor: logoColorInput.value,
+        logoPadding: parseFloat(logoPaddingInput.value) || 0,
+        logoScale: parseFloat(logoScaleInput.value) || 20,
+        logoShape: logoShapeSelect.value,
+        logoPlate: logoPlateSelect.value,
+        logoPlateColor: logoPlateColorInput.value,
+        logoBorderWidth: parseFloat(logoBorderWidthInput.value) || 0,
+        logoBorderColor: logoBorderColorInput.value,
+        logoSafeClamp: logoSafeClampCheckbox.checked,
+        quietZone: getQuietZone(),
+        rotation: parseFloat(rotationRange.value) || 0,
+        caption: "",
+        frameStyle: frameStyleSelect.value,
+        frameText: frameTextInput.value.trim(),
+        frameTextPosition: frameTextPositionSelect.value,
+        frameFont: frameFontSelect.value,
+        frameColor: frameColorInput.value,
+        framePadding: parseFloat(framePaddingInput.value) || 0,
+        cropToContent: false,
+        ...overrides,
+    };
+}
 
-    // Center point of the SVG
-    const centerX = size / 2;
-    const centerY = size / 2;
+// --------------------------------------------------------------------
+// 9. MAIN QR GENERATION
+// --------------------------------------------------------------------
 
-    // Original margins for the QR code
-    const marginPx = baseSize * (margin / qrSize);
-    const usableSize = baseSize - 2 * marginPx;
-    const cellSize = usableSize / qrCode.modules.size;
+/**
+ * Generates or re-generates the QR code with all current user inputs:
+ * - Text content
+ * - QR and BG colors
+ * - Transparent BG or BG image
+ * - Rotation
+ * - Optional logo
+ *
+ * Draws the result onto the main canvas (qrCanvas) from the same scene as the
+ * exports (see buildScene). Never rejects, so it can be used as a listener
+ * directly: a failed render (e.g. a logo that doesn't load) is reported in
+ * `qr-info`, and a render overtaken by a newer one is dropped.
+ *
+ * @returns {Promise<void>}
+ */
+function generateQR() {
+    const token = ++renderToken;
+    return renderPreview(token).catch((error) => {
+        if (token !== renderToken) return;
+        saveBtns.style.display = "none";
+        resetScanStatus();
+        updateQrInfo(null, `Nie udało się narysować kodu: ${error.message}`);
+    });
+}
 
-    // Start SVG document with a transparent background (entire SVG is transparent)
-    let svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`;
+/**
+ * One preview render started by generateQR.
+ *
+ * @param {number} token - The renderToken of this render
+ * @returns {Promise<void>}
+ */
+async function renderPreview(token) {
+    // Reset the "save" button icons to their default images
+    downloadPngBtnImg.src = "images/png.png";
+    downloadSvgBtnImg.src = "images/svg.png";
+    // downloadBtnImg.src = "images/download.png";
+    copyBtnImg.src = "images/copy.png";
+    showCopyStatus("");
 
-    // Create a group for the entire content
-    svg += "<g>";
+    // Every change ends up here, so this keeps the link to the settings and
+    // the undo stack current
+    updateShareUrl();
+    recordUndoSnapshot();
 
-    // Create a group for QR code with rotation
-    svg += `<g transform="translate(${centerX}, ${centerY}) rotate(${rotationDegrees})">`;
+    // Gather current user inputs
+    const text = getQrText();
 
-    // The actual QR code area (to contain the background color)
-    // This rect is sized exactly to match only the QR code area, not the entire SVG
-    const qrAreaSize = baseSize;
-    const qrAreaX = -qrAreaSize / 2; // Centered
-    const qrAreaY = -qrAreaSize / 2; // Centered
+    // If no text is provided, clear the canvas and hide the "save" buttons
+    if (!text) {
+        const mainCtx = adjustCanvasForHighDPI(
+            qrCanvas,
+            displaySize,
+            displaySize
+        );
+        mainCtx.clearRect(0, 0, displaySize, displaySize);
+        drawQuietZoneOverlay(null);
 
-    // Add background only for the QR code area, not the whole SVG
-    if (bgColor !== "transparent") {
-        svg += `<rect x="${qrAreaX}" y="${qrAreaY}" width="${qrAreaSize}" height="${qrAreaSize}" fill="${bgColor}" />`;
+        saveBtns.style.display = "none";
+        updateQrInfo(null);
+        updateLogoInfo(null);
+        resetScanStatus();
+        contrastWarning.style.display = "none";
+        return;
     }
 
-    // Draw QR modules - positioned relative to center
-    const qrX = -baseSize / 2;
-    const qrY = -baseSize / 2;
-
-    // Logo dimensions
-    const logoSize = usableSize * 0.2; // 20% of usable area
-    const safeZone = logoSize * 1.1;
-    const logoStartOffset = (usableSize - safeZone) / 2;
-    const logoStart = marginPx + logoStartOffset;
-    const logoEnd = logoStart + safeZone;
+    // Validate the encoding options (and show the readout) before drawing
+    let qrCode;
+    try {
+        qrCode = createQrCode(text, getEncodingOptions());
+    } catch (e) {
+        const mainCtx = adjustCanvasForHighDPI(
+            qrCanvas,
+            displaySize,
+            displaySize
+        );
+        mainCtx.clearRect(0, 0, displaySize, displaySize);
+        drawQuietZoneOverlay(null);
 
-    // Use a path to avoid gaps between adjacent squares
-    let pathData = "";
+        saveBtns.style.display = "none";
+        updateQrInfo(null, e.message);
+        updateLogoInfo(null);
+        resetScanStatus();
+        return;
+    }
+    updateQrInfo(qrCode);
+    updateLogoInfo(qrCode);
+    updateContrastWarning();
+
+    // Render the scene at the device resolution first, then swap it in at
+    // once (the visible canvas is never left half-drawn)
+    const scene = buildScene(text, getRenderOptions());
+    const rendered = await renderSceneCanvas(
+        scene,
+        Math.round(displaySize * (window.devicePixelRatio || 1))
+    );
+    // A newer render started while the images were loading
+    if (token !== renderToken) return;
+
+    // A frame makes the image taller than wide, so it is fitted into the
+    // square preview
+    previewAspectRatio = rendered.height / rendered.width || 1;
+    const rect = fitImageRect("contain", rendered.width, rendered.height, {
+        x: 0,
+        y: 0,
+        w: displaySize,
+        h: displaySize,
+    });
+    const mainCtx = adjustCanvasForHighDPI(qrCanvas, displaySize, displaySize);
+    mainCtx.clearRect(0, 0, displaySize, displaySize);
+    mainCtx.drawImage(rendered, rect.x, rect.y, rect.w, rect.h);
+    drawQuietZoneOverlay(scene, rect);
 
-    qrCode.modules.data.forEach((bit, index) => {
-        if (!bit) return; // Only draw dark modules
+    // Display the "Download" and "Copy" buttons
+    saveBtns.style.display = "flex";
 
-        const col = index % qrCode.modules.size;
-        const row = Math.floor(index / qrCode.modules.size);
+    // Check that what we just drew still decodes to the same text
+    scheduleScanVerification(text);
 
-        // Position relative to the top-left of the centered QR code
-        const x = qrX + marginPx + col * cellSize;
-        const y = qrY + marginPx + row * cellSize;
+    // Remember the code once the settings stop changing
+    scheduleHistoryEntry(text);
+}
 
-        // Calculate logo position in the rotated coordinate system
-        const rotatedLogoStart = qrX + logoStart;
-        const rotatedLogoEnd = qrX + logoEnd;
+/** Fill and outline of the quiet zone marked on the preview. */
+const QUIET_ZONE_FILL = "rgba(255, 140, 0, 0.3)";
+const QUIET_ZONE_OUTLINE = "#ff8c00";
 
-        // Skip logo area if needed
-        if (includeLogoCheckbox.checked) {
-            const intersectsSafeZone = !(
-                x + cellSize < rotatedLogoStart ||
-                x > rotatedLogoEnd ||
-                y + cellSize < rotatedLogoStart ||
-                y > rotatedLogoEnd
-            );
+/**
+ * Marks the quiet zone of the previewed code on the overlay canvas above the
+ * preview, when `showQuietZone` is on. The overlay is only shown on screen:
+ * exports, the scannability check and history thumbnails read the code
+ * canvas alone.
+ *
+ * @param {Scene|null} scene - The previewed scene, or null to clear the overlay
+ * @param {{x: number, y: number, w: number, h: number}} [rect] - Where the scene image is drawn in the preview
+ */
+function drawQuietZoneOverlay(scene, rect) {
+    const ctx = adjustCanvasForHighDPI(
+        quietZoneOverlay,
+        displaySize,
+        displaySize
+    );
+    ctx.clearRect(0, 0, displaySize, displaySize);
+    if (!scene || !showQuietZoneCheckbox.checked) return;
+
+    // The QR area in preview coordinates, rotated like in drawScene
+    const { code, areaSize: area, quietZone } = scene;
+    const scale = rect.w / scene.width;
+    ctx.translate(
+        rect.x + (code.x + code.size / 2) * scale,
+        rect.y + (code.y + code.size / 2) * scale
+    );
+    ctx.rotate((scene.rotation * Math.PI) / 180);
+    ctx.scale(scale, scale);
+    ctx.translate(-area / 2, -area / 2);
+
+    // The band between the edge of the QR area and the modules
+    ctx.beginPath();
+    ctx.rect(0, 0, area, area);
+    ctx.rect(quietZone, quietZone, area - 2 * quietZone, area - 2 * quietZone);
+    ctx.fillStyle = QUIET_ZONE_FILL;
+    ctx.fill("evenodd");
+
+    ctx.setLineDash([6 / scale, 4 / scale]);
+    ctx.lineWidth = 1.5 / scale;
+    ctx.strokeStyle = QUIET_ZONE_OUTLINE;
+    ctx.strokeRect(0, 0, area, area);
+}
 
-            if (intersectsSafeZone) return;
-        }
+// --------------------------------------------------------------------
+// 10. CONTRAST CHECK
+// --------------------------------------------------------------------
 
-        // Instead of individual rects, add to path data
-        pathData += `M${x},${y}h${cellSize}v${cellSize}h${-cellSize}z`;
-    });
+/** Contrast ratio below which the code is flagged as critical. */
+const CRITICAL_CONTRAST = 3;
 
-    // Add the combined path for all QR modules
-    svg += `<path d="${pathData}" fill="${qrColor}" />`;
+/** Contrast ratio below which a warning is shown (and that "darken" aims past). */
+const MIN_CONTRAST = 4.5;
 
-    // Close the rotation group
-    svg += `</g>`;
+/** Contrast ratio the "darken" fix tries to reach. */
+const TARGET_CONTRAST = 7;
 
-    // Add logo if needed - OUTSIDE the rotation transform to keep it horizontal
-    if (includeLogoCheckbox.checked) {
-        handleSvgLogo(svg, size, logoSize, qrColor, rotationDegrees).then(
-            (logoSvg) => {
-                svg = logoSvg;
-                finalizeSvgDownload(svg, text);
+/**
+ * @param {string} hex - Color in "#rrggbb" form
+ * @returns {number[]} The red, green and blue components (0–255)
+ */
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * @param {number[]} rgb - The red, green and blue components (0–255)
+ * @returns {string} Color in "#rrggbb" form
+ */
+function rgbToHex(rgb) {
+    return `#${rgb
+        .map((c) => Math.round(c).toString(16).padStart(2, "0"))
+        .join("")}`;
+}
+
+/**
+ * Relative luminance of an sRGB color as defined by WCAG 2.
+ *
+ * @param {number[]} rgb - The red, green and blue components (0–255)
+ * @returns {number} Luminance between 0 (black) and 1 (white)
+ */
+function relativeLuminance(rgb) {
+    const [r, g, b] = rgb.map((c) => {
+        const v = c / 255;
+        return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two luminances (1–21).
+ *
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function contrastRatio(a, b) {
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+/**
+ * Computes the average relative luminance of an image by scaling it down.
+ *
+ * @param {string} src - The base64 or blob URL for the image
+ * @returns {Promise<number>}
+ */
+function computeImageLuminance(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => {
+            const canvas = document.createElement("canvas");
+            canvas.width = 32;
+            canvas.height = 32;
+            const ctx = canvas.getContext("2d");
+            ctx.drawImage(img, 0, 0, 32, 32);
+
+            const { data } = ctx.getImageData(0, 0, 32, 32);
+            let sum = 0;
+            for (let i = 0; i < data.length; i += 4) {
+                // Transparent parts of the image show the (white) page
+                const alpha = data[i + 3] / 255;
+                const rgb = [0, 1, 2].map(
+                    (c) => data[i + c] * alpha + 255 * (1 - alpha)
+                );
+                sum += relativeLuminance(rgb);
             }
+            resolve(sum / (data.length / 4));
+        };
+        img.onerror = reject;
+        img.src = src;
+    });
+}
+
+/**
+ * Colors drawn in the foreground: every stop of the module fill plus the
+ * custom eye colors.
+ *
+ * @returns {string[]}
+ */
+function getForegroundColors() {
+    const colors = [...getQrPaint().colors];
+    if (customEyeColorsCheckbox.checked) {
+        colors.push(eyeOuterColorInput.value, eyeInnerColorInput.value);
+    }
+    return colors;
+}
+
+/**
+ * Luminances the modules are drawn on. A transparent background is assumed
+ * to end up on white paper. A background image is mixed with the color under
+ * it by its opacity; halftone dots sit on the background color instead.
+ *
+ * @returns {{luminances: number[], assumed: boolean}}
+ */
+function getBackgroundLuminances() {
+    if (backingPanelCheckbox.checked || transparentBg.checked) {
+        return {
+            luminances: [1],
+            assumed: !backingPanelCheckbox.checked,
+        };
+    }
+    const colorLuminances = getBgPaint().colors.map((c) =>
+        relativeLuminance(hexToRgb(c))
+    );
+    if (backgroundImageSrc && !halftoneCheckbox.checked) {
+        const opacity = (parseFloat(bgImageOpacityInput.value) || 0) / 100;
+        const imageLuminance = backgroundImageLuminance ?? 1;
+        return {
+            luminances: colorLuminances.map(
+                (l) => opacity * imageLuminance + (1 - opacity) * l
+            ),
+            assumed: backgroundImageLuminance === null,
+        };
+    }
+    return { luminances: colorLuminances, assumed: false };
+}
+
+/**
+ * Rates the contrast between the foreground and background: the worst pair
+ * of colors decides. Light-on-dark codes are flagged too, since many
+ * scanners only read dark modules on a light background.
+ *
+ * @returns {{level: string, ratio: number, inverted: boolean}} level is "ok", "warning" or "critical"
+ */
+function assessContrast() {
+    const foreground = getForegroundColors().map((c) =>
+        relativeLuminance(hexToRgb(c))
+    );
+    const { luminances: background } = getBackgroundLuminances();
+
+    let ratio = Infinity;
+    let inverted = false;
+    foreground.forEach((fg) => {
+        background.forEach((bg) => {
+            ratio = Math.min(ratio, contrastRatio(fg, bg));
+            if (fg > bg) inverted = true;
+        });
+    });
+
+    let level = "ok";
+    if (ratio < CRITICAL_CONTRAST) level = "critical";
+    else if (ratio < MIN_CONTRAST || inverted) level = "warning";
+
+    return { level, ratio, inverted };
+}
+
+/**
+ * Shows or hides the contrast warning and the fixes that apply.
+ */
+function updateContrastWarning() {
+    const { level, ratio, inverted } = assessContrast();
+
+    contrastWarning.style.display = level === "ok" ? "none" : "block";
+    contrastWarning.classList.toggle("critical", level === "critical");
+    if (level === "ok") return;
+
+    const messages = [];
+    if (ratio < MIN_CONTRAST) {
+        messages.push(
+            `${
+                level === "critical" ? "Bardzo niski" : "Niski"
+            } kontrast kodu i tła: ${ratio.toFixed(1)}:1 (zalecane co najmniej ${MIN_CONTRAST}:1).`
         );
+    }
+    if (inverted) {
+        messages.push(
+            "Kod jest jaśniejszy niż tło – wiele skanerów nie odczyta odwróconych kolorów."
+        );
+    }
+    if (getBackgroundLuminances().assumed) {
+        messages.push("(Zakładając białe tło pod kodem.)");
+    }
+    contrastMessage.textContent = messages.join(" ");
+
+    // Swapping only makes sense for two plain color fields
+    swapColorsBtn.style.display =
+        transparentBg.checked || backgroundImageSrc ? "none" : "";
+    addPanelBtn.style.display = backingPanelCheckbox.checked ? "none" : "";
+}
+
+/**
+ * One-click fix: swaps the QR and background colors.
+ */
+function swapColors() {
+    const qrColor = qrColorInput.value;
+    qrColorInput.value = bgColorInput.value;
+    bgColorInput.value = qrColor;
+    generateQR();
+}
+
+/**
+ * One-click fix: darkens every foreground color step by step until the
+ * contrast reaches TARGET_CONTRAST (or the colors are black).
+ */
+function darkenForeground() {
+    const inputs = [
+        qrColorInput,
+        ...qrGradientStops.querySelectorAll("input[type=color]"),
+    ];
+    if (customEyeColorsCheckbox.checked) {
+        inputs.push(eyeOuterColorInput, eyeInnerColorInput);
+    }
+
+    for (let step = 0; step < 40; step++) {
+        if (assessContrast().ratio >= TARGET_CONTRAST) break;
+        inputs.forEach((input) => {
+            input.value = rgbToHex(hexToRgb(input.value).map((c) => c * 0.9));
+        });
+    }
+    generateQR();
+}
+
+/**
+ * One-click fix: puts a light panel behind the modules.
+ */
+function addBackingPanel() {
+    backingPanelCheckbox.checked = true;
+    generateQR();
+}
+
+// --------------------------------------------------------------------
+// 11. SCANNABILITY VERIFICATION & CODE IMPORT
+// --------------------------------------------------------------------
+
+/**
+ * Clears the scannability status (used when there is no code to check).
+ */
+function resetScanStatus() {
+    clearTimeout(verifyTimer);
+    lastScanResult = null;
+    scanStatus.textContent = "";
+    scanStatus.className = "";
+    saveBtns.classList.remove("scan-warning");
+}
+
+/**
+ * Debounced wrapper for verifyRenderedQr (400ms delay), so dragging a color
+ * picker or the rotation slider doesn't decode on every frame.
+ *
+ * @param {string} expectedText - The payload that was encoded
+ */
+function scheduleScanVerification(expectedText) {
+    clearTimeout(verifyTimer);
+    scanStatus.textContent = "Sprawdzanie czytelności…";
+    scanStatus.className = "";
+    verifyTimer = setTimeout(() => {
+        showScanResult(verifyRenderedQr(qrCanvas, expectedText));
+    }, 400);
+}
+
+/**
+ * Decodes the QR code drawn on a canvas with jsQR (locally in the browser,
+ * nothing is uploaded) and checks that it yields the expected text.
+ * Transparent pixels are composited onto white first, as the code would be
+ * printed on white paper (jsQR ignores alpha, so transparency would read as black).
+ *
+ * @param {HTMLCanvasElement} canvas - The rendered QR code
+ * @param {string} expectedText - The payload that was encoded
+ * @returns {{ok: (boolean|null), message: string}} `ok` is null when the decoder is missing and nothing was checked
+ */
+function verifyRenderedQr(canvas, expectedText) {
+    if (typeof jsQR !== "function") {
+        return {
+            ok: null,
+            message: "Nie sprawdzono czytelności (brak dekodera jsQR).",
+        };
+    }
+
+    const width = canvas.width;
+    const height = canvas.height;
+    const flattened = document.createElement("canvas");
+    flattened.width = width;
+    flattened.height = height;
+    const ctx = flattened.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(canvas, 0, 0);
+
+    const { data } = ctx.getImageData(0, 0, width, height);
+    const result = jsQR(data, width, height, {
+        inversionAttempts: "attemptBoth",
+    });
+
+    if (!result) {
+        return {
+            ok: false,
+            message:
+                "✘ Kod nie daje się odczytać – zmień kolory, logo, tło lub styl.",
+        };
+    }
+    if (result.data !== expectedText) {
+        return {
+            ok: false,
+            message: "✘ Odczytana treść różni się od wpisanej.",
+        };
+    }
+    return { ok: true, message: "✔ Kod odczytany poprawnie." };
+}
+
+/**
+ * Shows the result of a scannability check and flags the save buttons.
+ * An unverified code is neither reported as readable nor flagged.
+ *
+ * @param {{ok: (boolean|null), message: string}} result
+ */
+function showScanResult(result) {
+    lastScanResult = result;
+    scanStatus.textContent = result.message;
+    if (result.ok === null) {
+        scanStatus.className = "unverified";
+    } else {
+        scanStatus.className = result.ok ? "ok" : "fail";
+    }
+    saveBtns.classList.toggle("scan-warning", result.ok === false);
+}
+
+/**
+ * Asks for confirmation before exporting a code that failed the last
+ * scannability check.
+ *
+ * @returns {boolean} True if the export should go ahead
+ */
+function confirmExport() {
+    if (!lastScanResult || lastScanResult.ok !== false) return true;
+    return confirm(
+        "Ten kod QR nie został poprawnie odczytany przez weryfikator i może nie działać. Czy mimo to kontynuować?"
+    );
+}
+
+/** Longest side (px) an imported image is scaled down to before decoding. */
+const IMPORT_MAX_SIZE = 2000;
+
+/**
+ * Decodes the QR code in an image with jsQR, locally in the browser, and
+ * reads its error correction level from the format information (see
+ * readErrorCorrectionLevel). Transparent pixels are read as white.
+ *
+ * @param {string} src - URL of the image
+ * @returns {Promise<{text: string, version: number, errorCorrectionLevel: (string|null)}>}
+ * @throws {Error} When the image doesn't load or holds no readable code
+ */
+async function decodeQrImage(src) {
+    if (typeof jsQR !== "function") {
+        throw new Error("Nie można odczytać kodu (brak dekodera jsQR).");
+    }
+
+    let image;
+    try {
+        image = await loadImage(src);
+    } catch (e) {
+        throw new Error("Nie udało się wczytać obrazu.");
+    }
+    if (!image.width || !image.height) {
+        throw new Error("Obraz nie ma określonego rozmiaru.");
+    }
+
+    const scale = Math.min(
+        1,
+        IMPORT_MAX_SIZE / Math.max(image.width, image.height)
+    );
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(image, 0, 0, width, height);
+
+    const pixels = ctx.getImageData(0, 0, width, height);
+    const result = jsQR(pixels.data, width, height, {
+        inversionAttempts: "attemptBoth",
+    });
+    if (!result) {
+        throw new Error("Nie znaleziono na obrazie czytelnego kodu QR.");
+    }
+    return {
+        text: result.data,
+        version: result.version,
+        errorCorrectionLevel: readErrorCorrectionLevel(
+            pixels,
+            result.location,
+            result.version
+        ),
+    };
+}
+
+/**
+ * Shows the result of a code import.
+ *
+ * @param {string} message
+ * @param {boolean} [isError=false]
+ */
+function showImportStatus(message, isError = false) {
+    qrImportStatus.textContent = message;
+    qrImportStatus.classList.toggle("error", isError);
+}
+
+/**
+ * Shows an imported image next to the preview (or hides it with null) and
+ * resizes the preview to the space left, which regenerates the code.
+ *
+ * @param {string|null} url - Object URL of the image; the previous one is revoked
+ */
+function showImportComparison(url) {
+    if (importedImageUrl) URL.revokeObjectURL(importedImageUrl);
+    importedImageUrl = url;
+    if (url) {
+        qrImportOriginal.src = url;
     } else {
-        // Close the main group
-        svg += "</g>";
-        finalizeSvgDownload(svg, text);
+        qrImportOriginal.removeAttribute("src");
+    }
+    qrImportFigure.hidden = !url;
+    qrCompareCloseBtn.hidden = !url;
+    resizeCanvasToContainer();
+}
+
+/**
+ * Imports an existing QR code from an image (uploaded, pasted or dropped):
+ * the payload goes into the URL/text field and the error correction level
+ * read from the image is selected, so the code can be restyled with the
+ * current settings and compared with the original. When the level can't be
+ * read the selected one stays. An import overtaken by a newer one is dropped.
+ *
+ * @param {File} file
+ * @returns {Promise<void>}
+ */
+async function importQrImage(file) {
+    const token = ++importToken;
+    if (!file.type.startsWith("image/")) {
+        showImportStatus("Wybierz plik graficzny z kodem QR.", true);
+        return;
+    }
+
+    showImportStatus("Odczytywanie kodu…");
+    const url = URL.createObjectURL(file);
+    let decoded;
+    try {
+        decoded = await decodeQrImage(url);
+        if (!decoded.text) throw new Error("Kod na obrazie jest pusty.");
+    } catch (error) {
+        URL.revokeObjectURL(url);
+        if (token === importToken) showImportStatus(error.message, true);
+        return;
+    }
+    if (token !== importToken) {
+        URL.revokeObjectURL(url);
+        return;
+    }
+
+    contentTypeSelect.value = "text";
+    showContentForm();
+    textInput.value = decoded.text;
+    if (decoded.errorCorrectionLevel) {
+        eccLevelSelect.value = decoded.errorCorrectionLevel;
+    }
+    showImportComparison(url);
+
+    showImportStatus(
+        decoded.errorCorrectionLevel
+            ? `Wczytano kod QR (wersja ${decoded.version}, poziom korekcji ${decoded.errorCorrectionLevel}).`
+            : `Wczytano kod QR (wersja ${decoded.version}); nie udało się odczytać poziomu korekcji, pozostaje ${eccLevelSelect.value}.`
+    );
+}
+
+// --------------------------------------------------------------------
+// 12. DOWNLOAD / COPY LOGIC
+// --------------------------------------------------------------------
+
+/** File extensions of the raster export formats. */
+const RASTER_EXTENSIONS = {
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/webp": "webp",
+};
+
+/** Millimetres per unit of the export size field. */
+const EXPORT_UNIT_MM = { mm: 1, in: 25.4 };
+
+/**
+ * Reads the export dialog: the output width in pixels and the DPI stored in
+ * the file. Physical sizes are converted with the DPI.
+ *
+ * @returns {{pixels: number, dpi: number}}
+ */
+function getExportSize() {
+    const value = Math.max(parseFloat(exportSizeInput.value) || 0, 0);
+    const dpi = Math.min(
+        Math.max(parseInt(exportDpiInput.value, 10) || 72, 1),
+        2400
+    );
+    const unit = exportUnitSelect.value;
+    const pixels =
+        unit === "px" ? value : (value / 25.4) * EXPORT_UNIT_MM[unit] * dpi;
+    return { pixels: Math.min(Math.max(Math.round(pixels), 16), 8000), dpi };
+}
+
+/**
+ * Converts the size field when the unit changes, keeping the same pixel size.
+ *
+ * @param {string} previousUnit - Unit the field value is currently in
+ */
+function convertExportSize(previousUnit) {
+    const unit = exportUnitSelect.value;
+    const dpi = parseInt(exportDpiInput.value, 10) || 72;
+    const value = parseFloat(exportSizeInput.value) || 0;
+    const mm =
+        previousUnit === "px"
+            ? (value / dpi) * 25.4
+            : value * EXPORT_UNIT_MM[previousUnit];
+    exportSizeInput.value =
+        unit === "px"
+            ? Math.round((mm / 25.4) * dpi)
+            : Math.round((mm / EXPORT_UNIT_MM[unit]) * 100) / 100;
+    exportSizeInput.step = unit === "px" ? "1" : "0.01";
+}
+
+/**
+ * Shows the resulting pixel and physical size in the export dialog.
+ */
+function updateExportSummary() {
+    const { pixels, dpi } = getExportSize();
+    // The size is the width; a frame makes the image taller
+    const height = Math.round(pixels * previewAspectRatio);
+    const toMm = (value) => Math.round((value / dpi) * 254) / 10;
+    const format = exportFormatSelect.value;
+    exportQualityLabel.style.display = format === "image/png" ? "none" : "";
+    exportSummary.classList.remove("error");
+    exportSummary.textContent =
+        `${pixels} × ${height} px, ${toMm(pixels)} × ${toMm(
+            height
+        )} mm przy ${dpi} DPI` +
+        (format === "image/webp" ? " (WebP nie zapisuje DPI)." : ".");
+}
+
+/** Lookup table for the CRC-32 used by PNG chunks. */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number} CRC-32 of the bytes
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Stores the resolution in a PNG (pHYs chunk) or JPEG (JFIF header) file.
+ * Other formats are returned unchanged.
+ *
+ * @param {Blob} blob - Encoded image
+ * @param {number} dpi
+ * @returns {Promise<Blob>}
+ */
+async function setImageDpi(blob, dpi) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+
+    if (blob.type === "image/png") {
+        // pHYs: pixels per metre for x and y, unit 1 (metre), after IHDR
+        const chunk = new Uint8Array(21);
+        const chunkView = new DataView(chunk.buffer);
+        const pixelsPerMetre = Math.round(dpi / 0.0254);
+        chunkView.setUint32(0, 9);
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+        chunkView.setUint32(8, pixelsPerMetre);
+        chunkView.setUint32(12, pixelsPerMetre);
+        chunk[16] = 1;
+        chunkView.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+        const ihdrEnd = 8 + 12 + view.getUint32(8);
+        return new Blob(
+            [bytes.subarray(0, ihdrEnd), chunk, bytes.subarray(ihdrEnd)],
+            { type: blob.type }
+        );
     }
+
+    if (blob.type === "image/jpeg") {
+        const hasJfif =
+            view.getUint16(2) === 0xffe0 &&
+            String.fromCharCode(...bytes.subarray(6, 10)) === "JFIF";
+        if (hasJfif) {
+            // Units: 1 = dots per inch, then X and Y density
+            bytes[13] = 1;
+            view.setUint16(14, dpi);
+            view.setUint16(16, dpi);
+            return new Blob([bytes], { type: blob.type });
+        }
+
+        // No JFIF header: insert a minimal APP0 segment after SOI
+        const app0 = new Uint8Array(18);
+        const app0View = new DataView(app0.buffer);
+        app0View.setUint16(0, 0xffe0);
+        app0View.setUint16(2, 16);
+        app0.set([0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x01], 4); // "JFIF", v1.1, DPI
+        app0View.setUint16(12, dpi);
+        app0View.setUint16(14, dpi);
+        return new Blob([bytes.subarray(0, 2), app0, bytes.subarray(2)], {
+            type: blob.type,
+        });
+    }
+
+    return blob;
+}
+
+/**
+ * Opens the raster export dialog (size, DPI, format, crop).
+ */
+function openExportDialog() {
+    updateExportSummary();
+    exportDialog.showModal();
+}
+
+/**
+ * Renders the current QR code with the export dialog settings, independent of
+ * the preview canvas, and downloads it as PNG, JPEG or WebP.
+ */
+async function downloadQRCode() {
+    const text = getQrText();
+    if (!text) return;
+
+    const { pixels, dpi } = getExportSize();
+    const type = exportFormatSelect.value;
+    const canvas = await renderQrCanvas(
+        text,
+        pixels,
+        getRenderOptions({ cropToContent: exportCropCheckbox.checked }),
+        // JPEG has no transparency
+        type === "image/jpeg" ? "#ffffff" : null
+    );
+    // Browsers without WebP encoding fall back to PNG
+    const blob = await setImageDpi(
+        await canvasToBlob(canvas, type, parseFloat(exportQualityInput.value)),
+        dpi
+    );
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.download = `${getExportName()}_QR_Code.${
+        RASTER_EXTENSIONS[blob.type] || "png"
+    }`;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+
+    // Indicate success (swap icon)
+    downloadPngBtnImg.src = "images/done.png";
+
+    resetButtonImage(downloadPngBtnImg, "images/png.png");
 }
 
 /**
- * Generates an SVG representation of the QR code and copies it to the clipboard as text.
- * Uses the same SVG generation logic as downloadQRCodeAsSVG but copies instead of downloading.
+ * Downloads the current QR code as an SVG file.
  */
-function copyQRCodeAsSVG() {
-    // Get the current text content
-    const text = textInput.value.trim();
+async function downloadQRCodeAsSVG() {
+    // Get the payload for the current content type
+    const text = getQrText();
 
     if (!text) {
         return; // Don't generate if there's no text
     }
 
-    // Create a QR code using the same approach as in generateQR
-    const qrCode = QRCode.create(text, { errorCorrectionLevel: "H" });
+    finalizeSvgDownload(await buildQrSvg(text, getRenderOptions()));
+}
+
+/**
+ * Downloads the finished SVG document
+ */
+function finalizeSvgDownload(svg) {
+    // Create download link
+    const blob = new Blob([svg], { type: "image/svg+xml" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.download = `${getExportName()}_QR_Code.svg`;
+    link.href = url;
+    link.click();
+
+    // Clean up
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+
+    // Show success indicator
+    downloadSvgBtnImg.src = "images/done.png";
+
+    resetButtonImage(downloadSvgBtnImg, "images/svg.png");
+}
+
+/**
+ * Formats of the copy menu (`data-copy-format` of its items): the clipboard
+ * type they are written as and how the status line names them.
+ */
+const COPY_FORMATS = {
+    png: { type: "image/png", label: "obraz PNG" },
+    svg: { type: "text/plain", label: "kod SVG" },
+    svgDataUri: { type: "text/plain", label: "SVG jako data URI" },
+    imgTag: { type: "text/plain", label: "znacznik <img>" },
+    pngDataUri: { type: "text/plain", label: "PNG jako data URI" },
+};
+
+/**
+ * Builds the clipboard content of the current QR code in one of the
+ * COPY_FORMATS. PNGs use the size and crop of the image export dialog, the
+ * SVG formats the same document as the SVG download.
+ *
+ * @param {string} format - Key of COPY_FORMATS
+ * @param {string} text - The payload
+ * @returns {Promise<Blob>}
+ */
+async function buildClipboardData(format, text) {
+    if (format === "png" || format === "pngDataUri") {
+        const canvas = await renderQrCanvas(
+            text,
+            getExportSize().pixels,
+            getRenderOptions({ cropToContent: exportCropCheckbox.checked })
+        );
+        return format === "png"
+            ? canvasToBlob(canvas, "image/png")
+            : new Blob([canvas.toDataURL("image/png")], {
+                  type: "text/plain",
+              });
+    }
+
+    const svg = await buildQrSvg(text, getRenderOptions());
+    const snippets = {
+        svg: () => svg,
+        svgDataUri: () => svgToDataUri(svg),
+        // The payload may hold a Wi-Fi password, so it stays out of the alt text
+        imgTag: () => `<img src="${svgToDataUri(svg)}" alt="Kod QR" />`,
+    };
+    return new Blob([snippets[format]()], { type: "text/plain" });
+}
+
+/**
+ * Shows the result of the last copy under the save buttons.
+ *
+ * @param {string} message - Empty to clear
+ * @param {boolean} [isError]
+ */
+function showCopyStatus(message, isError = false) {
+    copyStatus.textContent = message;
+    copyStatus.classList.toggle("error", isError);
+}
+
+/**
+ * Copies the current QR code to the clipboard in the given format and
+ * reports the outcome in `copy-status`. Never rejects: a missing clipboard
+ * API, a denied permission and a failed render all end up as an error there.
+ *
+ * @param {string} format - Key of COPY_FORMATS
+ * @returns {Promise<void>}
+ */
+async function copyQrToClipboard(format) {
+    const text = getQrText();
+    if (!text) return;
+
+    const { type, label } = COPY_FORMATS[format];
+    const canWrite =
+        typeof ClipboardItem === "function" &&
+        Boolean(navigator.clipboard?.write);
+    const canWriteText = Boolean(navigator.clipboard?.writeText);
+    const unsupported = `Ta przeglądarka nie obsługuje kopiowania do schowka: ${label}. Wybierz inny format lub użyj pobierania.`;
+    if (!navigator.clipboard) {
+        showCopyStatus(
+            "Schowek jest niedostępny – przeglądarki udostępniają go tylko stronom otwartym przez HTTPS. Użyj pobierania.",
+            true
+        );
+        return;
+    }
+    if (!canWrite && !(type === "text/plain" && canWriteText)) {
+        showCopyStatus(unsupported, true);
+        return;
+    }
+
+    try {
+        // Browsers only allow the write during the click, so it starts right
+        // away and the content follows as a promise
+        const data = buildClipboardData(format, text);
+        if (canWrite) {
+            await navigator.clipboard.write([
+                new ClipboardItem({ [type]: data }),
+            ]);
+        } else {
+            await navigator.clipboard.writeText(await (await data).text());
+        }
+    } catch (error) {
+        if (error.name === "NotAllowedError") {
+            showCopyStatus(
+                "Przeglądarka odmówiła dostępu do schowka. Zezwól tej stronie na dostęp do schowka (ikona w pasku adresu) i spróbuj ponownie.",
+                true
+            );
+        } else if (
+            error.name === "NotSupportedError" ||
+            error.name === "DataError"
+        ) {
+            showCopyStatus(unsupported, true);
+        } else {
+            showCopyStatus(
+                `Nie udało się skopiować (${label}): ${error.message}`,
+                true
+            );
+        }
+        return;
+    }
+
+    showCopyStatus(`Skopiowano do schowka: ${label}.`);
+    copyBtnImg.src = "images/done.png";
+    resetButtonImage(copyBtnImg, "images/copy.png");
+}
+
+/**
+ * Opens or closes the copy menu.
+ *
+ * @param {boolean} [open] - Defaults to toggling
+ */
+function toggleCopyMenu(open = copyMenu.hidden) {
+    copyMenu.hidden = !open;
+    copyBtn.setAttribute("aria-expanded", String(open));
+    if (open) copyMenu.querySelector("button").focus();
+}
+
+// --------------------------------------------------------------------
+// 13. BATCH GENERATION (CSV -> ZIP)
+// --------------------------------------------------------------------
+
+/** Accepted header names (lowercase) for each batch column. */
+const BATCH_COLUMNS = {
+    payload: ["payload", "text", "url", "link", "treść", "tresc", "dane"],
+    filename: ["filename", "file", "name", "nazwa", "plik"],
+    caption: ["caption", "label", "podpis", "opis"],
+};
+
+/** Column delimiters tried by parseCsv, in order of preference. */
+const CSV_DELIMITERS = ["\t", ";", ","];
+
+/** An unquoted field that is a URL up to its query string or fragment. */
+const URL_QUERY_PATTERN = /^\s*[a-z][a-z\d+.-]*:\/\/\S*[?#]\S*$/i;
+
+/**
+ * Splits CSV text into rows (RFC 4180 quoting).
+ *
+ * With `guardUrls`, a semicolon or comma in the query string or fragment of
+ * an unquoted URL value (e.g. the comma in `https://maps.example/?q=52.2,21.0`)
+ * stays in the value unless whitespace follows it. URLs never contain tabs.
+ *
+ * @param {string} source - CSV text
+ * @param {string|null} delimiter - Column delimiter, or null for one column
+ * @param {boolean} guardUrls
+ * @returns {{cells: string[], line: number}[]} Non-empty rows of cells with the source line each starts on (1-based)
+ */
+function splitCsvRows(source, delimiter, guardUrls) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === "\n" || (char === "\r" && source[i + 1] !== "\n")) {
+            line++;
+        }
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === "") {
+            quoted = true;
+        } else if (
+            char === delimiter &&
+            !(
+                guardUrls &&
+                /\S/.test(char) &&
+                URL_QUERY_PATTERN.test(field) &&
+                /\S/.test(source[i + 1] || " ")
+            )
+        ) {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && source[i + 1] === "\n") {
+                i++;
+                line++;
+            }
+            row.push(field);
+            rows.push({ cells: row, line: rowLine });
+            row = [];
+            field = "";
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push({ cells: row, line: rowLine });
+
+    return rows.filter((row) => row.cells.some((cell) => cell.trim()));
+}
+
+/**
+ * Parses CSV text, detecting the delimiter (tab, semicolon or comma), so
+ * spreadsheet exports and plain pasted lists (one payload per line) both
+ * work. A character is only used as the delimiter when it separates the
+ * cells of a header row (read as plain CSV, as spreadsheets write it) or
+ * when every row contains it outside its URL values (see splitCsvRows);
+ * otherwise every line is a single cell, so a payload with a comma or
+ * semicolon is never cut short.
+ *
+ * @param {string} source - CSV text
+ * @param {function(string[]): boolean} isHeader - Recognizes a header row
+ * @returns {{cells: string[], line: number}[]} Non-empty rows of cells with the source line each starts on (1-based)
+ */
+function parseCsv(source, isHeader) {
+    // Drop the UTF-8 byte order mark added by spreadsheet exports
+    source = source.replace(/^\uFEFF/, "");
+
+    for (const delimiter of CSV_DELIMITERS) {
+        const rows = splitCsvRows(source, delimiter, false);
+        if (
+            rows.length &&
+            rows[0].cells.length > 1 &&
+            isHeader(rows[0].cells)
+        ) {
+            return rows;
+        }
+    }
+    for (const delimiter of CSV_DELIMITERS) {
+        const rows = splitCsvRows(source, delimiter, true);
+        if (rows.length && rows.every((row) => row.cells.length > 1)) {
+            return rows;
+        }
+    }
+    return splitCsvRows(source, null, true);
+}
+
+/**
+ * Checks whether a row names batch columns (see BATCH_COLUMNS).
+ *
+ * @param {string[]} cells
+ * @returns {boolean}
+ */
+function isBatchHeader(cells) {
+    return cells.some((cell) =>
+        Object.values(BATCH_COLUMNS).some((names) =>
+            names.includes(cell.trim().toLowerCase())
+        )
+    );
+}
+
+/**
+ * Turns the batch list into rows of { payload, filename, caption, line }.
+ * A first row made of known column names is treated as a header; otherwise
+ * the columns are payload, filename, caption in that order. `line` is the
+ * line of the list the row comes from.
+ *
+ * @param {string} source - CSV text or a pasted list
+ * @returns {{payload: string, filename: string, caption: string, line: number}[]}
+ */
+function readBatchRows(source) {
+    const rows = parseCsv(source, isBatchHeader);
+    const columns = { payload: 0, filename: 1, caption: 2 };
+
+    if (rows.length && isBatchHeader(rows[0].cells)) {
+        const header = rows
+            .shift()
+            .cells.map((cell) => cell.trim().toLowerCase());
+        Object.keys(columns).forEach((key) => {
+            columns[key] = header.findIndex((cell) =>
+                BATCH_COLUMNS[key].includes(cell)
+            );
+        });
+    }
+
+    const cell = (cells, index) => (index >= 0 ? cells[index] || "" : "");
+    return rows.map(({ cells, line }) => ({
+        payload: cell(cells, columns.payload).trim(),
+        filename: cell(cells, columns.filename).trim(),
+        caption: cell(cells, columns.caption).trim(),
+        line,
+    }));
+}
+
+/**
+ * Makes a safe, unique (within the ZIP) file name without an extension.
+ *
+ * @param {string} name - Requested name (may be empty)
+ * @param {string} fallback - Name used when the requested one is empty
+ * @param {Set<string>} usedNames - Names already in the ZIP (lowercase)
+ * @returns {string}
+ */
+function uniqueFileName(name, fallback, usedNames) {
+    const base =
+        name
+            .replace(/\.(png|svg)$/i, "")
+            // eslint-disable-next-line no-control-regex -- control characters are not allowed in file names
+            .replace(/[\\/:*?"<>|\x00-\x1f]/g, "_")
+            .trim()
+            .slice(0, 100) || fallback;
+
+    let candidate = base;
+    for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+        candidate = `${base}_${n}`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+/**
+ * Promise wrapper around canvas.toBlob().
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} [type] - Image MIME type
+ * @param {number} [quality] - JPEG/WebP quality (0–1)
+ * @returns {Promise<Blob>}
+ */
+function canvasToBlob(canvas, type = "image/png", quality) {
+    return new Promise((resolve, reject) =>
+        canvas.toBlob(
+            (blob) =>
+                blob ? resolve(blob) : reject(new Error("toBlob failed")),
+            type,
+            quality
+        )
+    );
+}
+
+/**
+ * Saves a blob under the given file name.
+ *
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.download = fileName;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+}
+
+/**
+ * Shows a progress/result message under the batch controls.
+ *
+ * @param {string} message
+ * @param {boolean} [isError]
+ */
+function showBatchStatus(message, isError = false) {
+    batchStatus.textContent = message;
+    batchStatus.classList.toggle("error", isError);
+}
+
+/**
+ * Renders every batch row with the current style settings and downloads all
+ * files as one ZIP. Rows that cannot be encoded are skipped and listed in
+ * "bledy.txt" inside the archive.
+ */
+async function generateBatchZip() {
+    const rows = readBatchRows(batchInput.value);
+    const withPng = batchPngCheckbox.checked;
+    const withSvg = batchSvgCheckbox.checked;
+    const pngSize = Math.min(
+        Math.max(parseInt(batchPngSizeInput.value, 10) || 1000, 100),
+        4000
+    );
+
+    if (!rows.length) {
+        showBatchStatus("Lista jest pusta.", true);
+        return;
+    }
+    if (!withPng && !withSvg) {
+        showBatchStatus(
+            "Wybierz co najmniej jeden format (PNG lub SVG).",
+            true
+        );
+        return;
+    }
+
+    batchGenerateBtn.disabled = true;
+    const zip = new JSZip();
+    const usedNames = new Set();
+    const skipped = [];
+    const digits = String(rows.length).length;
+
+    try {
+        for (const [index, row] of rows.entries()) {
+            showBatchStatus(`Generowanie ${index + 1}/${rows.length}…`);
+            // Let the browser repaint the progress between codes
+            await new Promise((resolve) => setTimeout(resolve));
+
+            if (!row.payload) {
+                skipped.push(`Wiersz ${row.line}: brak treści`);
+                continue;
+            }
+
+            try {
+                // Validates the payload against the encoding options first
+                createQrCode(row.payload, getEncodingOptions());
+                const name = uniqueFileName(
+                    row.filename,
+                    `qr_${String(index + 1).padStart(digits, "0")}`,
+                    usedNames
+                );
+                if (withPng) {
+                    const canvas = await renderQrCanvas(
+                        row.payload,
+                        pngSize,
+                        getRenderOptions({ caption: row.caption })
+                    );
+                    zip.file(`${name}.png`, await canvasToBlob(canvas));
+                }
+                if (withSvg) {
+                    zip.file(
+                        `${name}.svg`,
+                        await buildQrSvg(
+                            row.payload,
+                            getRenderOptions({ caption: row.caption })
+                        )
+                    );
+                }
+            } catch (e) {
+                skipped.push(`Wiersz ${row.line}: ${e.message}`);
+            }
+        }
+
+        const generated = rows.length - skipped.length;
+        if (!generated) {
+            showBatchStatus(
+                `Nie wygenerowano żadnego kodu. ${skipped[0]}`,
+                true
+            );
+            return;
+        }
+        if (skipped.length) {
+            zip.file("bledy.txt", skipped.join("\r\n"));
+        }
+
+        const blob = await zip.generateAsync({ type: "blob" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.download = "QR_Codes.zip";
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+
+        showBatchStatus(
+            `Wygenerowano ${generated} z ${rows.length} kodów.` +
+                (skipped.length
+                    ? ` Pominięto ${skipped.length} (szczegóły w bledy.txt).`
+                    : ""),
+            skipped.length > 0
+        );
+    } finally {
+        batchGenerateBtn.disabled = false;
+    }
+}
+
+// --------------------------------------------------------------------
+// 14. PDF EXPORT (SHEET LAYOUTS)
+// --------------------------------------------------------------------
+
+/** Page sizes in millimetres (portrait). */
+const PDF_PAGE_SIZES = { a4: [210, 297], letter: [215.9, 279.4] };
+
+/** PDF points per millimetre. */
+const PT_PER_MM = 72 / 25.4;
+
+/** Gap between a cut line and its crop mark, and the mark length (mm). */
+const CROP_MARK_OFFSET = 2;
+const CROP_MARK_LENGTH = 5;
+
+/** Helvetica advance widths (1/1000 em) for the printable ASCII range 32–126. */
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+    278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+    584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+    833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+    278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+    500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+    500, 334, 260, 334, 584,
+];
+
+/**
+ * Polish letters and typographic punctuation with their glyph names and
+ * Helvetica widths. They are mapped onto codes 128+ of the caption font
+ * through its /Differences array.
+ */
+const PDF_EXTRA_GLYPHS = {
+    ą: ["aogonek", 556],
+    ć: ["cacute", 500],
+    ę: ["eogonek", 556],
+    ł: ["lslash", 222],
+    ń: ["nacute", 556],
+    ó: ["oacute", 556],
+    ś: ["sacute", 500],
+    ź: ["zacute", 500],
+    ż: ["zdotaccent", 500],
+    Ą: ["Aogonek", 667],
+    Ć: ["Cacute", 722],
+    Ę: ["Eogonek", 667],
+    Ł: ["Lslash", 556],
+    Ń: ["Nacute", 722],
+    Ó: ["Oacute", 778],
+    Ś: ["Sacute", 667],
+    Ź: ["Zacute", 611],
+    Ż: ["Zdotaccent", 611],
+    "–": ["endash", 556],
+    "—": ["emdash", 1000],
+    "„": ["quotedblbase", 333],
+    "”": ["quotedblright", 333],
+    "“": ["quotedblleft", 333],
+};
+
+/**
+ * Formats a number for PDF content (at most 3 decimals, no exponent).
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+function pdfNumber(value) {
+    return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * @param {string} hex - "#rrggbb"
+ * @returns {string} The color as three 0–1 components ("r g b")
+ */
+function pdfColor(hex) {
+    return hexToRgb(hex)
+        .map((channel) => pdfNumber(channel / 255))
+        .join(" ");
+}
+
+/**
+ * Converts path data made of absolute M/L/C/Z commands (see section 7) into
+ * PDF path construction operators.
+ *
+ * @param {string} d - Path data
+ * @returns {string}
+ */
+function svgPathToPdf(d) {
+    const operators = { M: "m", L: "l", C: "c", Z: "h" };
+    return d.replace(/([MLCZ])([^MLCZ]*)/g, (_, command, args) => {
+        const numbers = args
+            .trim()
+            .split(/[\s,]+/)
+            .filter(Boolean);
+        return `${[...numbers, operators[command]].join(" ")}\n`;
+    });
+}
+
+/**
+ * Encodes caption text for the Helvetica caption font and measures it.
+ * Polish letters use the extra codes, other accented letters lose their
+ * accent and anything else outside ASCII becomes "?".
+ *
+ * @param {string} text
+ * @returns {{encoded: string, width: number}} PDF string body (escaped) and width in 1/1000 em
+ */
+function encodePdfText(text) {
+    const extraChars = Object.keys(PDF_EXTRA_GLYPHS);
+    let encoded = "";
+    let width = 0;
+
+    for (let char of text) {
+        if (!extraChars.includes(char) && !/[\x20-\x7e]/.test(char)) {
+            char = char.normalize("NFD")[0];
+            if (!/[\x20-\x7e]/.test(char)) char = "?";
+        }
+
+        const extraIndex = extraChars.indexOf(char);
+        if (extraIndex >= 0) {
+            encoded += String.fromCharCode(128 + extraIndex);
+            width += PDF_EXTRA_GLYPHS[char][1];
+        } else {
+            encoded += /[()\\]/.test(char) ? `\\${char}` : char;
+            width += HELVETICA_WIDTHS[char.charCodeAt(0) - 32];
+        }
+    }
+    return { encoded, width };
+}
+
+/**
+ * Compresses bytes with zlib (FlateDecode) when the browser supports
+ * CompressionStream.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array|null>} Compressed bytes, or null if unsupported
+ */
+async function deflateBytes(bytes) {
+    if (typeof CompressionStream === "undefined") return null;
+    const stream = new Blob([bytes])
+        .stream()
+        .pipeThrough(new CompressionStream("deflate"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Converts a string whose char codes are all below 256 into bytes.
+ *
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function latin1Bytes(text) {
+    return Uint8Array.from(text, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Minimal PDF writer: collects numbered objects and serializes them with a
+ * cross-reference table. Object bodies are strings or arrays of strings and
+ * byte arrays (for streams).
+ *
+ * @returns {{reserve: function(): number, add: function((string|Array)): number, set: function(number, (string|Array)): void, stream: function(string, (string|Uint8Array), boolean=): Promise<Array>, toBlob: function(number): Blob}}
+ */
+function createPdfWriter() {
+    const objects = [];
+
+    return {
+        /** Reserves an object number, filled in later with `set`. */
+        reserve() {
+            objects.push(null);
+            return objects.length;
+        },
+
+        /** Adds an object and returns its number. */
+        add(body) {
+            objects.push(body);
+            return objects.length;
+        },
+
+        set(number, body) {
+            objects[number - 1] = body;
+        },
+
+        /** Builds a stream object body, deflated unless `compress` is false. */
+        async stream(dict, data, compress = true) {
+            const bytes = typeof data === "string" ? latin1Bytes(data) : data;
+            const deflated = compress ? await deflateBytes(bytes) : null;
+            const content = deflated || bytes;
+            const filter = deflated ? " /Filter /FlateDecode" : "";
+            return [
+                `<< ${dict}${filter} /Length ${content.length} >>\nstream\n`,
+                content,
+                "\nendstream",
+            ];
+        },
+
+        /** Serializes the document with `root` as its catalog. */
+        toBlob(root) {
+            const parts = [latin1Bytes("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n")];
+            let length = parts[0].length;
+            const offsets = [];
+            const push = (part) => {
+                const bytes =
+                    typeof part === "string" ? latin1Bytes(part) : part;
+                parts.push(bytes);
+                length += bytes.length;
+            };
+
+            objects.forEach((body, index) => {
+                offsets.push(length);
+                push(`${index + 1} 0 obj\n`);
+                [].concat(body).forEach(push);
+                push("\nendobj\n");
+            });
+
+            const xref = length;
+            push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+            offsets.forEach((offset) =>
+                push(`${String(offset).padStart(10, "0")} 00000 n \n`)
+            );
+            push(
+                `trailer\n<< /Size ${
+                    objects.length + 1
+                } /Root ${root} 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+            );
+            return new Blob(parts, { type: "application/pdf" });
+        },
+    };
+}
+
+/**
+ * Builds a PDF function object body mapping 0–1 onto the paint's color stops.
+ *
+ * @param {Paint} paint
+ * @returns {string}
+ */
+function pdfGradientFunction(paint) {
+    const count = paint.colors.length;
+    const segments = paint.colors
+        .slice(1)
+        .map(
+            (color, index) =>
+                `<< /FunctionType 2 /Domain [0 1] /C0 [${pdfColor(
+                    paint.colors[index]
+                )}] /C1 [${pdfColor(color)}] /N 1 >>`
+        );
+    if (segments.length === 1) return segments[0];
+
+    const bounds = segments
+        .slice(1)
+        .map((_, index) => pdfNumber(stopOffset(index + 1, count)));
+    return `<< /FunctionType 3 /Domain [0 1] /Functions [${segments.join(
+        " "
+    )}] /Bounds [${bounds.join(" ")}] /Encode [${segments
+        .map(() => "0 1")
+        .join(" ")}] >>`;
+}
+
+/**
+ * Draws the pixels of a canvas as an RGB image XObject with an alpha soft
+ * mask.
+ *
+ * @param {Object} writer - See createPdfWriter
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<number>} Object number of the image
+ */
+async function addPdfCanvasImage(writer, canvas) {
+    const { width, height } = canvas;
+    const pixels = canvas.getContext("2d").getImageData(0, 0, width, height);
+    const rgb = new Uint8Array(width * height * 3);
+    const alpha = new Uint8Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+        rgb[i * 3] = pixels.data[i * 4];
+        rgb[i * 3 + 1] = pixels.data[i * 4 + 1];
+        rgb[i * 3 + 2] = pixels.data[i * 4 + 2];
+        alpha[i] = pixels.data[i * 4 + 3];
+    }
+
+    const image = `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /BitsPerComponent 8`;
+    const mask = writer.add(
+        await writer.stream(`${image} /ColorSpace /DeviceGray`, alpha)
+    );
+    return writer.add(
+        await writer.stream(
+            `${image} /ColorSpace /DeviceRGB /SMask ${mask} 0 R`,
+            rgb
+        )
+    );
+}
+
+/**
+ * Builds a multi-page PDF with the given codes placed in a grid. Every code is
+ * drawn with the current style settings as vector paths (modules, eyes,
+ * gradients); only the logo and background image are embedded as images.
+ *
+ * @param {{text: string, caption: string}[]} items - Codes in reading order
+ * @param {Object} layout
+ * @param {string} layout.pageSize - Key of PDF_PAGE_SIZES
+ * @param {boolean} layout.landscape
+ * @param {number} layout.columns
+ * @param {number} layout.rows
+ * @param {number} layout.margin - Page margin (mm)
+ * @param {number} layout.gap - Space between cells (mm)
+ * @param {boolean} layout.cropMarks - Draw crop marks in the margins
+ * @param {boolean} layout.captions - Reserve space for and draw captions
+ * @returns {Promise<Blob>}
+ */
+async function buildQrPdf(items, layout) {
+    const writer = createPdfWriter();
+    const resourcesRef = writer.reserve();
+    const pagesRef = writer.reserve();
+    const resources = { XObject: {}, Shading: {}, ExtGState: {}, Font: {} };
+
+    // Settings that don't depend on the payload come from the first scene;
+    // sheets have their own captions and crop marks, so no frames
+    const baseScene = buildScene(
+        items[0].text,
+        getRenderOptions({ cropToContent: true, frameStyle: "none" })
+    );
+    const area = baseScene.areaSize;
+
+    // Gradient fills become shadings painted through a clipping path
+    const shadingNames = new Map();
+    const fillPath = (path, paint, box, evenOdd = false) => {
+        const ops = svgPathToPdf(path);
+        if (paint.type === "solid") {
+            return `${pdfColor(paint.colors[0])} rg\n${ops}${
+                evenOdd ? "f*" : "f"
+            }\n`;
+        }
+
+        const g = getGradientGeometry(paint, box);
+        const coords =
+            paint.type === "radial"
+                ? [g.cx, g.cy, 0, g.cx, g.cy, g.r]
+                : [g.x1, g.y1, g.x2, g.y2];
+        const body = `<< /ShadingType ${
+            paint.type === "radial" ? 3 : 2
+        } /ColorSpace /DeviceRGB /Coords [${coords
+            .map(pdfNumber)
+            .join(" ")}] /Function ${pdfGradientFunction(
+            paint
+        )} /Extend [true true] >>`;
+        if (!shadingNames.has(body)) {
+            const name = `Sh${shadingNames.size + 1}`;
+            shadingNames.set(body, name);
+            resources.Shading[name] = writer.add(body);
+        }
+        return `q\n${ops}${evenOdd ? "W*" : "W"} n\n/${shadingNames.get(
+            body
+        )} sh\nQ\n`;
+    };
+
+    // Shared images: background image and logo, rasterized like the preview
+    const areaBox = { x: 0, y: 0, w: area, h: area };
+    if (baseScene.background?.image) {
+        const image = await loadImage(baseScene.background.image.src);
+        const canvas = document.createElement("canvas");
+        canvas.width = canvas.height = 1024;
+        const ctx = canvas.getContext("2d");
+        ctx.scale(1024 / area, 1024 / area);
+        drawBackgroundImage(
+            ctx,
+            image,
+            baseScene.background.image,
+            area,
+            1024 / area
+        );
+        resources.XObject.BgImg = await addPdfCanvasImage(writer, canvas);
+    }
+    if (baseScene.logo) {
+        const image = await loadLogoImage(baseScene.logo);
+        const canvas = document.createElement("canvas");
+        canvas.width = canvas.height = 512;
+        drawLogo(canvas.getContext("2d"), baseScene.logo, image, 0, 0, 512);
+        resources.XObject.Logo = await addPdfCanvasImage(writer, canvas);
+    }
+    if (baseScene.backingPanel) {
+        resources.ExtGState.Panel = writer.add(
+            "<< /Type /ExtGState /ca 0.85 >>"
+        );
+    }
+
+    // One form XObject per distinct payload, reused by every cell showing it;
+    // the logo is sized per payload, as the safe size depends on the version
+    const forms = new Map();
+    const getForm = async (text) => {
+        if (forms.has(text)) return forms.get(text);
+
+        const scene = buildScene(
+            text,
+            getRenderOptions({ cropToContent: true, frameStyle: "none" })
+        );
+
+        let content = "";
+        if (scene.background) {
+            content += fillPath(
+                `M0,0L${area},0L${area},${area}L0,${area}Z`,
+                scene.background.paint,
+                areaBox
+            );
+        }
+        if (resources.XObject.BgImg) {
+            content += `q ${area} 0 0 -${area} 0 ${area} cm /BgImg Do Q\n`;
+        }
+        if (resources.ExtGState.Panel) {
+            content += `q /Panel gs 1 1 1 rg 0 0 ${area} ${area} re f Q\n`;
+        }
+        for (const shape of scene.shapes) {
+            content += fillPath(
+                shape.path,
+                shape.paint,
+                shape.box,
+                shape.evenOdd
+            );
+        }
+
+        const form = { name: `Q${forms.size + 1}`, logo: scene.logo };
+        resources.XObject[form.name] = writer.add(
+            await writer.stream(
+                `/Type /XObject /Subtype /Form /BBox [0 0 ${area} ${area}] /Resources ${resourcesRef} 0 R`,
+                content
+            )
+        );
+        forms.set(text, form);
+        return form;
+    };
+
+    // Page grid (all in millimetres, origin at the top-left corner)
+    const [shortSide, longSide] = PDF_PAGE_SIZES[layout.pageSize];
+    const pageW = layout.landscape ? longSide : shortSide;
+    const pageH = layout.landscape ? shortSide : longSide;
+    const cellW =
+        (pageW - 2 * layout.margin - (layout.columns - 1) * layout.gap) /
+        layout.columns;
+    const cellH =
+        (pageH - 2 * layout.margin - (layout.rows - 1) * layout.gap) /
+        layout.rows;
+    if (cellW <= 0 || cellH <= 0) {
+        throw new Error("Marginesy i odstępy nie mieszczą się na stronie.");
+    }
+
+    const captionH = layout.captions
+        ? Math.min(cellW, cellH) * CAPTION_RATIO
+        : 0;
+    const codeBox = Math.min(cellW, cellH - captionH);
+    // Rotated codes need a larger bounding box (the scene width)
+    const rotationRadians = (baseScene.rotation * Math.PI) / 180;
+    const codeSize = (codeBox * area) / baseScene.width;
+    const scale = codeSize / area;
+    const cos = Math.cos(rotationRadians);
+    const sin = Math.sin(rotationRadians);
+    const n = pdfNumber;
+
+    // Crop marks in the page margins, on every cell edge
+    let cropMarks = "";
+    const markLength = Math.min(
+        CROP_MARK_LENGTH,
+        layout.margin - CROP_MARK_OFFSET - 1
+    );
+    if (layout.cropMarks && markLength > 0) {
+        const gridRight = pageW - layout.margin;
+        const gridBottom = pageH - layout.margin;
+        const near = layout.margin - CROP_MARK_OFFSET;
+        const cutsX = new Set();
+        const cutsY = new Set();
+        for (let col = 0; col < layout.columns; col++) {
+            const x = layout.margin + col * (cellW + layout.gap);
+            cutsX.add(n(x)).add(n(x + cellW));
+        }
+        for (let row = 0; row < layout.rows; row++) {
+            const y = layout.margin + row * (cellH + layout.gap);
+            cutsY.add(n(y)).add(n(y + cellH));
+        }
+        cropMarks = "q 0 0 0 RG 0.1 w\n";
+        cutsX.forEach((x) => {
+            cropMarks += `${x} ${n(near)} m ${x} ${n(near - markLength)} l S\n`;
+            cropMarks += `${x} ${n(gridBottom + CROP_MARK_OFFSET)} m ${x} ${n(
+                gridBottom + CROP_MARK_OFFSET + markLength
+            )} l S\n`;
+        });
+        cutsY.forEach((y) => {
+            cropMarks += `${n(near)} ${y} m ${n(near - markLength)} ${y} l S\n`;
+            cropMarks += `${n(gridRight + CROP_MARK_OFFSET)} ${y} m ${n(
+                gridRight + CROP_MARK_OFFSET + markLength
+            )} ${y} l S\n`;
+        });
+        cropMarks += "Q\n";
+    }
+
+    const perPage = layout.columns * layout.rows;
+    const pageRefs = [];
+    for (let start = 0; start < items.length; start += perPage) {
+        // Flip the y axis and work in millimetres
+        let content = `${n(PT_PER_MM)} 0 0 ${n(-PT_PER_MM)} 0 ${n(
+            pageH * PT_PER_MM
+        )} cm\n`;
+
+        const pageItems = items.slice(start, start + perPage);
+        for (const [index, item] of pageItems.entries()) {
+            const cellX =
+                layout.margin + (index % layout.columns) * (cellW + layout.gap);
+            const cellY =
+                layout.margin +
+                Math.floor(index / layout.columns) * (cellH + layout.gap);
+            const offsetY = (cellH - codeBox - captionH) / 2;
+            const centerX = cellX + cellW / 2;
+            const centerY = cellY + offsetY + codeBox / 2;
+
+            const form = await getForm(item.text);
+            content += `q 1 0 0 1 ${n(centerX)} ${n(centerY)} cm ${n(cos)} ${n(
+                sin
+            )} ${n(-sin)} ${n(cos)} 0 0 cm ${n(scale)} 0 0 ${n(scale)} ${n(
+                -codeSize / 2
+            )} ${n(-codeSize / 2)} cm /${form.name} Do Q\n`;
+
+            // The logo stays upright and clipped to its shape, like in the preview
+            if (resources.XObject.Logo && form.logo) {
+                const r = (form.logo.size * scale) / 2;
+                const outline = logoShapePath(
+                    form.logo.shape,
+                    centerX - r,
+                    centerY - r,
+                    2 * r
+                );
+                content += `q ${
+                    outline ? `${svgPathToPdf(outline)}W n ` : ""
+                }${n(2 * r)} 0 0 ${n(-2 * r)} ${n(centerX - r)} ${n(
+                    centerY + r
+                )} cm /Logo Do Q\n`;
+            }
+
+            if (layout.captions && item.caption) {
+                const { encoded, width } = encodePdfText(item.caption);
+                const fontSize = Math.min(
+                    captionH * 0.6,
+                    (cellW * 0.95 * 1000) / Math.max(width, 1)
+                );
+                const textX = centerX - (width * fontSize) / 2000;
+                const baseline =
+                    cellY + offsetY + codeBox + captionH / 2 + fontSize * 0.35;
+                content += `BT /F1 ${n(fontSize)} Tf ${pdfColor(
+                    qrColorInput.value
+                )} rg 1 0 0 -1 ${n(textX)} ${n(
+                    baseline
+                )} Tm (${encoded}) Tj ET\n`;
+            }
+        }
+        content += cropMarks;
+
+        const contentRef = writer.add(await writer.stream("", content));
+        pageRefs.push(
+            writer.add(
+                `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${n(
+                    pageW * PT_PER_MM
+                )} ${n(
+                    pageH * PT_PER_MM
+                )}] /Resources ${resourcesRef} 0 R /Contents ${contentRef} 0 R >>`
+            )
+        );
+    }
+
+    // Caption font: standard Helvetica with the Polish letters added
+    const differences = Object.values(PDF_EXTRA_GLYPHS)
+        .map(([glyph]) => `/${glyph}`)
+        .join(" ");
+    resources.Font.F1 = writer.add(
+        `<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding << /Type /Encoding /BaseEncoding /WinAnsiEncoding /Differences [128 ${differences}] >> >>`
+    );
+
+    const dict = (entries) =>
+        Object.entries(entries)
+            .map(([name, ref]) => `/${name} ${ref} 0 R`)
+            .join(" ");
+    writer.set(
+        resourcesRef,
+        `<< /ProcSet [/PDF /Text /ImageC /ImageB] ${Object.entries(resources)
+            .map(([type, entries]) => `/${type} << ${dict(entries)} >>`)
+            .join(" ")} >>`
+    );
+    writer.set(
+        pagesRef,
+        `<< /Type /Pages /Kids [${pageRefs
+            .map((ref) => `${ref} 0 R`)
+            .join(" ")}] /Count ${pageRefs.length} >>`
+    );
+    const catalog = writer.add(`<< /Type /Catalog /Pages ${pagesRef} 0 R >>`);
+    return writer.toBlob(catalog);
+}
+
+/**
+ * Shows a progress/result message under the PDF controls.
+ *
+ * @param {string} message
+ * @param {boolean} [isError]
+ */
+function showPdfStatus(message, isError = false) {
+    pdfStatus.textContent = message;
+    pdfStatus.classList.toggle("error", isError);
+}
+
+/**
+ * Collects the codes for the chosen source (the current code repeated over a
+ * whole sheet, or one code per batch row) and downloads the PDF.
+ */
+async function downloadQRCodeAsPDF() {
+    const layout = {
+        pageSize: pdfPageSizeSelect.value,
+        landscape: pdfOrientationSelect.value === "landscape",
+        columns: Math.max(parseInt(pdfColumnsInput.value, 10) || 1, 1),
+        rows: Math.max(parseInt(pdfRowsInput.value, 10) || 1, 1),
+        margin: Math.max(parseFloat(pdfMarginInput.value) || 0, 0),
+        gap: Math.max(parseFloat(pdfGapInput.value) || 0, 0),
+        cropMarks: pdfCropMarksCheckbox.checked,
+        captions: pdfCaptionsCheckbox.checked,
+    };
+
+    let items;
+    let skipped = 0;
+    let fileName;
+    if (pdfSourceSelect.value === "batch") {
+        items = readBatchRows(batchInput.value)
+            .filter((row) => {
+                try {
+                    createQrCode(row.payload, getEncodingOptions());
+                    return true;
+                } catch (e) {
+                    skipped++;
+                    return false;
+                }
+            })
+            .map((row) => ({ text: row.payload, caption: row.caption }));
+        fileName = "QR_Codes.pdf";
+    } else {
+        const text = getQrText();
+        if (text && !confirmExport()) return;
+        items = text
+            ? Array(layout.columns * layout.rows).fill({
+                  text,
+                  caption: pdfCaptionTextInput.value.trim(),
+              })
+            : [];
+        fileName = `${getExportName()}_QR_Codes.pdf`;
+    }
+
+    if (!items.length) {
+        showPdfStatus("Brak kodów do umieszczenia w PDF.", true);
+        return;
+    }
+
+    pdfDownloadBtn.disabled = true;
+    showPdfStatus("Generowanie PDF…");
+    try {
+        const blob = await buildQrPdf(items, layout);
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.download = fileName;
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+
+        const pages = Math.ceil(items.length / (layout.columns * layout.rows));
+        showPdfStatus(
+            `Zapisano ${items.length} kodów na ${pages} str.` +
+                (skipped ? ` Pominięto ${skipped} błędnych wierszy.` : ""),
+            skipped > 0
+        );
+    } catch (e) {
+        showPdfStatus(e.message, true);
+    } finally {
+        pdfDownloadBtn.disabled = false;
+    }
+}
+
+// --------------------------------------------------------------------
+// 15. GENERATOR STATE & SHAREABLE LINKS
+// --------------------------------------------------------------------
+
+/**
+ * Containers whose controls are not part of the state: the batch list and the
+ * PDF sheet describe an export rather than the code, and the preset and
+ * history panels hold their own names and filters.
+ */
+const STATE_EXCLUDED_SECTIONS =
+    ".batch-section, .pdf-section, .preset-section, .history-section";
+
+/**
+ * The controls that make up the generator state: every input, select and
+ * textarea of the generator form with an id, so new style options are picked
+ * up without extra wiring. File inputs and the rotation number field (a mirror
+ * of the slider) are left out.
+ *
+ * @returns {Array<HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement>}
+ */
+function getStateControls() {
+    return [
+        ...generatorForm.querySelectorAll(
+            "input[id], select[id], textarea[id]"
+        ),
+    ].filter(
+        (control) =>
+            control.type !== "file" &&
+            control !== rotationValueDisplay &&
+            !control.closest(STATE_EXCLUDED_SECTIONS)
+    );
+}
+
+/**
+ * Reads the generator state as a flat map of control ids to string values.
+ * Checkboxes are stored as "1"/"0"; the extra gradient stops (which have no
+ * ids of their own) as a comma-separated color list under their container id.
+ *
+ * @returns {Object<string, string>}
+ */
+function getGeneratorState() {
+    const state = {};
+    getStateControls().forEach((control) => {
+        state[control.id] =
+            control.type === "checkbox"
+                ? control.checked
+                    ? "1"
+                    : "0"
+                : control.value;
+    });
+    [qrGradientStops, bgGradientStops].forEach((container) => {
+        state[container.id] = [
+            ...container.querySelectorAll("input[type=color]"),
+        ]
+            .map((stop) => stop.value)
+            .join(",");
+    });
+    return state;
+}
+
+/**
+ * Applies a state read by getGeneratorState to the controls and refreshes the
+ * dependent UI (content form, gradient options, disabled sections). Missing
+ * keys leave their controls untouched; select values that are not among the
+ * options are ignored. Does not regenerate the code.
+ *
+ * @param {Object<string, string>} state
+ */
+function applyGeneratorState(state) {
+    getStateControls().forEach((control) => {
+        const value = state[control.id];
+        if (value === undefined) return;
+
+        if (control.type === "checkbox") {
+            control.checked = value === "1";
+        } else if (control.tagName === "SELECT") {
+            if ([...control.options].some((option) => option.value === value)) {
+                control.value = value;
+            }
+        } else {
+            control.value = value;
+        }
+    });
+    [qrGradientStops, bgGradientStops].forEach((container) => {
+        const value = state[container.id];
+        if (value === undefined) return;
+
+        container.replaceChildren();
+        value
+            .split(",")
+            .filter(Boolean)
+            .forEach((color) => addGradientStop(container, color));
+    });
+
+    rotationValueDisplay.value = rotationRange.value;
+    showContentForm();
+    updateFillControls();
+    toggleDisabled();
+}
+
+/**
+ * Ids of the fields marked with `data-secret` (the Wi‑Fi password). They stay
+ * in the local state (undo, history) but never go into a URL: the address bar
+ * ends up in the browser history, synced tabs and every copied link.
+ *
+ * @returns {Set<string>}
+ */
+function getSecretFieldIds() {
+    return new Set(
+        [...generatorForm.querySelectorAll("[data-secret]")].map(
+            (field) => field.id
+        )
+    );
+}
+
+/**
+ * Serializes the state for the URL hash. Only the values that differ from the
+ * page defaults are written, which keeps links short. Fields of the content
+ * forms that are not selected are left out too (e.g. an SSID typed earlier
+ * doesn't end up in a link to a plain URL code), and so are secret fields.
+ *
+ * @param {Object<string, string>} state
+ * @returns {string} e.g. "text=https%3A%2F%2Fexample.com&qrColor=%231d3c8f"
+ */
+function serializeGeneratorState(state) {
+    const hiddenFields = new Set([
+        ...getSecretFieldIds(),
+        ...[...contentForms]
+            .filter((form) => form.dataset.type !== contentTypeSelect.value)
+            .flatMap((form) => [...form.querySelectorAll("[id]")])
+            .map((field) => field.id),
+    ]);
+
+    const params = new URLSearchParams();
+    Object.entries(state).forEach(([key, value]) => {
+        if (!hiddenFields.has(key) && defaultGeneratorState[key] !== value) {
+            params.set(key, value);
+        }
+    });
+    return params.toString();
+}
+
+/**
+ * Keeps the address bar in sync with the controls, so the current URL always
+ * reproduces the current code. Uses replaceState: settings changes don't pile
+ * up in the browser history.
+ */
+function updateShareUrl() {
+    const query = serializeGeneratorState(getGeneratorState());
+    history.replaceState(
+        null,
+        "",
+        `${location.pathname}${query ? `#${query}` : ""}`
+    );
+}
+
+/**
+ * Restores the state from the link the page was opened with. The hash is
+ * the canonical place; the query string is accepted as well, for links typed
+ * or generated by hand (e.g. "?text=...&moduleStyle=circle"). Keys missing
+ * from the link fall back to the defaults.
+ */
+function restoreStateFromUrl() {
+    const query = location.hash.slice(1) || location.search.slice(1);
+    if (!query) return;
+
+    applyGeneratorState({
+        ...defaultGeneratorState,
+        ...Object.fromEntries(new URLSearchParams(query)),
+    });
+}
+
+/**
+ * Quotes a URL for a CSS `url()` value, escaping the characters that would
+ * end the string.
+ *
+ * @param {string} src
+ * @returns {string}
+ */
+function cssUrl(src) {
+    const escaped = src.replace(
+        /["\\\n\r\f]/g,
+        (char) => `\\${char.charCodeAt(0).toString(16)} `
+    );
+    return `url("${escaped}")`;
+}
+
+/**
+ * Sets (or clears, with null) the background image and updates its preview,
+ * the remove button and the luminance used by the contrast check. Used when
+ * settings are applied from a preset; uploads go through the file input.
+ * Does not regenerate the code.
+ *
+ * @param {string|null} src - Data URI of the image
+ */
+function setBackgroundImage(src) {
+    backgroundImageSrc = src;
+    backgroundImageLuminance = null;
+    bgImageInput.value = "";
+    imageContainer.style.backgroundImage = src ? cssUrl(src) : "";
+    addImageIcon.style.display = src ? "none" : "block";
+    removeBgImageBtn.style.display = src ? "block" : "none";
+    toggleDisabled();
+
+    if (src) measureBackgroundImage(src);
+}
+
+/**
+ * Measures the average luminance of the background image for the contrast
+ * check. An image that can't be decoded leaves the luminance unknown, so the
+ * contrast keeps being reported as assumed.
+ *
+ * @param {string} src - Data URI of the image
+ */
+function measureBackgroundImage(src) {
+    computeImageLuminance(src)
+        .then((luminance) => {
+            // Ignore the result if the image was replaced in the meantime
+            if (backgroundImageSrc !== src) return;
+            backgroundImageLuminance = luminance;
+            updateContrastWarning();
+        })
+        .catch(() => {
+            // backgroundImageLuminance stays null
+        });
+}
+
+/**
+ * Sets (or clears, with null) the custom logo and updates its preview and
+ * remove button. Does not regenerate the code.
+ *
+ * @param {string|null} src - Data URI of the logo
+ */
+function setCustomLogo(src) {
+    customLogoSrc = src;
+    logoImageInput.value = "";
+    showLogoStatus("");
+    if (src) {
+        showLogoPreview(src);
+    } else {
+        logoImagePreview.style.display = "none";
+        addImageLogo.style.display = "block";
+    }
+    logoRemoveButton.style.display = src ? "block" : "none";
+}
+
+/**
+ * Copies a link to the current settings. Uploaded images (custom logo,
+ * background) are too large for a URL and secret fields are never shared, so
+ * the user is told what has to be added again.
+ */
+async function copyShareLink() {
+    updateShareUrl();
+    try {
+        await navigator.clipboard.writeText(location.href);
+    } catch (e) {
+        shareStatus.textContent = "Nie udało się skopiować linku.";
+        return;
+    }
+
+    const selectedForm = [...contentForms].find(
+        (form) => form.dataset.type === contentTypeSelect.value
+    );
+    const omitted = [];
+    if (customLogoSrc || backgroundImageSrc) {
+        omitted.push("Wgrane obrazy (logo, tło) nie trafiają do linku.");
+    }
+    if (
+        [...(selectedForm?.querySelectorAll("[data-secret]") ?? [])].some(
+            (field) => field.value
+        )
+    ) {
+        omitted.push("Hasło Wi‑Fi nie trafia do linku.");
+    }
+    shareStatus.textContent = omitted.length
+        ? `Link skopiowany. ${omitted.join(" ")} Trzeba je dodać ponownie.`
+        : "Link skopiowany.";
+}
+
+// --------------------------------------------------------------------
+// 16. LOCAL DATABASE (INDEXEDDB)
+// --------------------------------------------------------------------
+
+/** Name and schema version of the browser database. */
+const DB_NAME = "qr-generator";
+const DB_VERSION = 2;
+
+/** Pending or open database connection, shared by all callers. */
+let databasePromise = null;
+
+/**
+ * Opens the database, creating the object stores on first use. IndexedDB
+ * (rather than localStorage) because presets and history entries carry
+ * uploaded images as data URIs, which quickly exceed the localStorage quota.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error("Przeglądarka nie obsługuje IndexedDB."));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains("presets")) {
+                    db.createObjectStore("presets", { keyPath: "name" });
+                }
+                if (!db.objectStoreNames.contains("history")) {
+                    db.createObjectStore("history", {
+                        keyPath: "id",
+                        autoIncrement: true,
+                    });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow another attempt after a failure (e.g. a blocked upgrade)
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Runs one request against an object store and resolves with its result.
+ *
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {function(IDBObjectStore): IDBRequest} createRequest
+ * @returns {Promise<*>}
+ */
+async function dbRequest(storeName, mode, createRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = createRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/** @returns {Promise<Array<Object>>} All records of a store, in key order */
+function dbGetAll(storeName) {
+    return dbRequest(storeName, "readonly", (store) => store.getAll());
+}
+
+/** Inserts or replaces a record. */
+function dbPut(storeName, record) {
+    return dbRequest(storeName, "readwrite", (store) => store.put(record));
+}
+
+/** Deletes the record with the given key. */
+function dbDelete(storeName, key) {
+    return dbRequest(storeName, "readwrite", (store) => store.delete(key));
+}
+
+// --------------------------------------------------------------------
+// 17. STYLE PRESETS (BRAND KITS)
+// --------------------------------------------------------------------
+
+/** Identifies preset files exported by this page. */
+const PRESET_FILE_TYPE = "qr-generator-presets";
+
+/** Images accepted from preset files: embedded data only, nothing to fetch. */
+const PRESET_IMAGE_PATTERN = /^data:image\/[a-z0-9.+-]+[;,]/i;
+
+/**
+ * A named look that can be applied to any content.
+ *
+ * @typedef {Object} StylePreset
+ * @property {string} name - Unique name, also the database key
+ * @property {Object<string, string>} state - Generator state without the content fields
+ * @property {string|null} logo - Uploaded logo (data URI)
+ * @property {string|null} backgroundImage - Uploaded background image (data URI)
+ * @property {string} created - ISO timestamp
+ */
+
+/**
+ * Drops the content fields (type selector and payload forms) from a state:
+ * a preset describes the look, applying it keeps the entered content.
+ *
+ * @param {Object<string, string>} state
+ * @returns {Object<string, string>}
+ */
+function getStyleState(state) {
+    const contentIds = new Set(
+        [...contentContainer.querySelectorAll("[id]")].map((field) => field.id)
+    );
+    return Object.fromEntries(
+        Object.entries(state).filter(([key]) => !contentIds.has(key))
+    );
+}
+
+/**
+ * Captures the current settings as a preset.
+ *
+ * @param {string} name
+ * @returns {StylePreset}
+ */
+function createPreset(name) {
+    return {
+        name,
+        state: getStyleState(getGeneratorState()),
+        logo: customLogoSrc,
+        backgroundImage: backgroundImageSrc,
+        created: new Date().toISOString(),
+    };
+}
+
+/**
+ * Applies a preset to the generator and regenerates the code. Settings the
+ * preset doesn't know (e.g. added after it was saved) revert to the defaults.
+ *
+ * @param {StylePreset} preset
+ */
+function applyPreset(preset) {
+    applyGeneratorState({
+        ...getStyleState(defaultGeneratorState),
+        ...preset.state,
+    });
+    setCustomLogo(preset.logo || null);
+    setBackgroundImage(preset.backgroundImage || null);
+    generateQR();
+}
+
+/**
+ * @param {string} message
+ * @param {boolean} [isError]
+ */
+function showPresetStatus(message, isError = false) {
+    presetStatus.textContent = message;
+    presetStatus.classList.toggle("error", isError);
+}
+
+/**
+ * Redraws the preset list from the database: one button per preset that
+ * applies it, plus a delete button.
+ */
+async function renderPresetList() {
+    let presets;
+    try {
+        presets = await dbGetAll("presets");
+    } catch (e) {
+        showPresetStatus(`Zestawy są niedostępne: ${e.message}`, true);
+        return;
+    }
+
+    presetList.replaceChildren(
+        ...presets.map((preset) => {
+            const item = document.createElement("span");
+            item.className = "preset-item";
+
+            const applyButton = document.createElement("button");
+            applyButton.textContent = preset.name;
+            applyButton.title = "Zastosuj zestaw";
+            applyButton.addEventListener("click", (e) => {
+                e.preventDefault();
+                applyPreset(preset);
+                showPresetStatus(`Zastosowano zestaw „${preset.name}”.`);
+            });
+
+            const deleteButton = document.createElement("button");
+            deleteButton.textContent = "×";
+            deleteButton.title = "Usuń zestaw";
+            deleteButton.addEventListener("click", async (e) => {
+                e.preventDefault();
+                if (!confirm(`Usunąć zestaw „${preset.name}”?`)) return;
+                try {
+                    await dbDelete("presets", preset.name);
+                } catch (error) {
+                    showPresetStatus(
+                        `Nie udało się usunąć zestawu: ${error.message}`,
+                        true
+                    );
+                    return;
+                }
+                renderPresetList();
+            });
+
+            item.append(applyButton, deleteButton);
+            return item;
+        })
+    );
+    if (!presets.length) {
+        presetList.textContent = "Brak zapisanych zestawów.";
+    }
+}
+
+/**
+ * Saves the current settings under the name from the name field, replacing
+ * an existing preset of the same name after confirmation.
+ */
+async function saveCurrentPreset() {
+    const name = presetNameInput.value.trim();
+    if (!name) {
+        showPresetStatus("Podaj nazwę zestawu.", true);
+        return;
+    }
+
+    try {
+        const existing = await dbGetAll("presets");
+        if (
+            existing.some((preset) => preset.name === name) &&
+            !confirm(`Zestaw „${name}” już istnieje. Zastąpić go?`)
+        ) {
+            return;
+        }
+        await dbPut("presets", createPreset(name));
+    } catch (e) {
+        showPresetStatus(`Nie udało się zapisać zestawu: ${e.message}`, true);
+        return;
+    }
+
+    presetNameInput.value = "";
+    showPresetStatus(`Zapisano zestaw „${name}”.`);
+    renderPresetList();
+}
+
+/**
+ * Downloads all presets as one JSON file (a brand kit to share).
+ */
+async function exportPresets() {
+    const presets = await dbGetAll("presets");
+    if (!presets.length) {
+        showPresetStatus("Brak zestawów do eksportu.", true);
+        return;
+    }
+
+    const json = JSON.stringify(
+        { type: PRESET_FILE_TYPE, version: 1, presets },
+        null,
+        2
+    );
+    downloadBlob(
+        new Blob([json], { type: "application/json" }),
+        "QR_Presets.json"
+    );
+
+    showPresetStatus(`Wyeksportowano ${presets.length} zestawów.`);
+}
+
+/**
+ * Reads presets from an exported JSON file and stores them; presets with an
+ * existing name are replaced. Logos and background images must be embedded
+ * as `data:image/…` URIs: any other address (e.g. a remote http(s) URL the
+ * page would fetch and embed in exports) is dropped and counted.
+ *
+ * @param {File} file
+ * @returns {Promise<{imported: number, droppedImages: number}>} Number of imported presets and of dropped images
+ * @throws {Error} When the file is not a preset export
+ */
+async function importPresets(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (e) {
+        throw new Error("Plik nie jest poprawnym plikiem JSON.");
+    }
+    if (data?.type !== PRESET_FILE_TYPE || !Array.isArray(data.presets)) {
+        throw new Error("To nie jest plik zestawów stylów.");
+    }
+
+    const presets = data.presets.filter(
+        (preset) =>
+            typeof preset?.name === "string" &&
+            preset.name.trim() &&
+            preset.state &&
+            typeof preset.state === "object"
+    );
+    let droppedImages = 0;
+    const readImage = (value) => {
+        if (typeof value === "string" && PRESET_IMAGE_PATTERN.test(value)) {
+            return value;
+        }
+        if (value) droppedImages++;
+        return null;
+    };
+    for (const preset of presets) {
+        await dbPut("presets", {
+            name: preset.name.trim(),
+            state: getStyleState(preset.state),
+            logo: readImage(preset.logo),
+            backgroundImage: readImage(preset.backgroundImage),
+            created: preset.created || new Date().toISOString(),
+        });
+    }
+    return { imported: presets.length, droppedImages };
+}
+
+// --------------------------------------------------------------------
+// 18. GENERATION HISTORY
+// --------------------------------------------------------------------
+
+/** How long the settings must stay unchanged before a code is recorded (ms). */
+const HISTORY_DELAY = 1500;
 
-    // Get current colors and settings
-    const qrColor = qrColorInput.value;
-    const bgColor = transparentBg.checked ? "transparent" : bgColorInput.value;
-    const rotationDegrees = parseFloat(rotationRange.value) || 0;
-
-    // Calculate how much larger the SVG needs to be to accommodate rotation
-    // Using the diagonal as the maximum dimension (sqrt(2) ≈ 1.414 times larger for 45° rotation)
-    const rotationRadians = Math.abs((rotationDegrees * Math.PI) / 180);
-    const expansionFactor = Math.max(
-        Math.abs(Math.cos(rotationRadians)) +
-            Math.abs(Math.sin(rotationRadians)),
-        1
-    );
+/** Maximum number of unpinned entries; the oldest ones are dropped. */
+const HISTORY_LIMIT = 30;
 
-    // Base size for the QR code
-    const baseSize = 1000;
-    // Expanded size to prevent cutoff during rotation
-    const expandedSize = Math.ceil(baseSize * expansionFactor);
+/** Edge length of the stored thumbnails (px). */
+const THUMBNAIL_SIZE = 96;
 
-    // Add padding around the QR code (10% of base size)
-    const paddingSize = baseSize * 0.1;
-    const size = expandedSize + paddingSize * 2;
+/** Width of PNG files downloaded from the history (px). */
+const HISTORY_PNG_SIZE = 1000;
 
-    // Center point of the SVG
-    const centerX = size / 2;
-    const centerY = size / 2;
+/**
+ * A generated code, with everything needed to restore it into the editor or
+ * to export it again without touching the editor.
+ *
+ * @typedef {Object} HistoryEntry
+ * @property {number} [id] - Database key (assigned on first save)
+ * @property {string} text - The encoded payload
+ * @property {string} name - Base name for downloaded files
+ * @property {Object<string, string>} state - Full generator state
+ * @property {string|null} customLogo - Uploaded logo (data URI)
+ * @property {string|null} backgroundImage - Uploaded background image (data URI)
+ * @property {RenderOptions} options - Resolved render options, for re-exports
+ * @property {string} thumbnail - PNG data URI of the preview
+ * @property {string} created - ISO timestamp of the last generation
+ * @property {boolean} pinned - Pinned entries are listed first and never pruned
+ */
 
-    // Original margins for the QR code
-    const marginPx = baseSize * (margin / qrSize);
-    const usableSize = baseSize - 2 * marginPx;
-    const cellSize = usableSize / qrCode.modules.size;
+/** Entries as last read from the database, for searching without a reload. */
+let historyEntries = [];
 
-    // Start SVG document with a transparent background (entire SVG is transparent)
-    let svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`;
+/**
+ * Records the current code after HISTORY_DELAY, so dragging a color or the
+ * rotation slider produces one entry instead of dozens.
+ *
+ * @param {string} text - The payload that was just rendered
+ */
+function scheduleHistoryEntry(text) {
+    clearTimeout(historyTimer);
+    historyTimer = setTimeout(() => {
+        // History is a convenience: a failing database must not disturb generation
+        recordHistoryEntry(text).catch(() => {});
+    }, HISTORY_DELAY);
+}
 
-    // Create a group for the entire content
-    svg += "<g>";
+/**
+ * Downscales the preview canvas into a thumbnail.
+ *
+ * @returns {string} PNG data URI
+ */
+function createThumbnail() {
+    const canvas = document.createElement("canvas");
+    canvas.width = THUMBNAIL_SIZE;
+    canvas.height = THUMBNAIL_SIZE;
+    canvas
+        .getContext("2d")
+        .drawImage(qrCanvas, 0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+    return canvas.toDataURL("image/png");
+}
 
-    // Create a group for QR code with rotation
-    svg += `<g transform="translate(${centerX}, ${centerY}) rotate(${rotationDegrees})">`;
+/**
+ * Identity of an entry for deduplication: payload, settings and images.
+ *
+ * @param {HistoryEntry} entry
+ * @returns {string}
+ */
+function historyFingerprint(entry) {
+    return JSON.stringify([
+        entry.text,
+        entry.state,
+        entry.customLogo,
+        entry.backgroundImage,
+    ]);
+}
 
-    // The actual QR code area (to contain the background color)
-    // This rect is sized exactly to match only the QR code area, not the entire SVG
-    const qrAreaSize = baseSize;
-    const qrAreaX = -qrAreaSize / 2; // Centered
-    const qrAreaY = -qrAreaSize / 2; // Centered
+/**
+ * Stores the current code in the history. Regenerating an identical code
+ * only moves its entry to the top; further edits of the latest code (same
+ * payload, other settings) update that entry rather than adding one per
+ * tweak, unless it is pinned.
+ *
+ * @param {string} text - The payload that was rendered
+ */
+async function recordHistoryEntry(text) {
+    // The payload changed again in the meantime; its own entry is pending
+    if (getQrText() !== text) return;
+
+    const entry = {
+        text,
+        name: getExportName(),
+        state: getGeneratorState(),
+        customLogo: customLogoSrc,
+        backgroundImage: backgroundImageSrc,
+        options: getRenderOptions(),
+        thumbnail: createThumbnail(),
+        created: new Date().toISOString(),
+        pinned: false,
+    };
 
-    // Add background only for the QR code area, not the whole SVG
-    if (bgColor !== "transparent") {
-        svg += `<rect x="${qrAreaX}" y="${qrAreaY}" width="${qrAreaSize}" height="${qrAreaSize}" fill="${bgColor}" />`;
+    const entries = sortHistory(await dbGetAll("history"), false);
+    const fingerprint = historyFingerprint(entry);
+    const identical = entries.find(
+        (existing) => historyFingerprint(existing) === fingerprint
+    );
+    const latest = entries[0];
+
+    if (identical) {
+        await dbPut("history", {
+            ...identical,
+            thumbnail: entry.thumbnail,
+            created: entry.created,
+        });
+    } else if (latest && latest.text === text && !latest.pinned) {
+        await dbPut("history", { ...entry, id: latest.id });
+    } else {
+        await dbPut("history", entry);
     }
 
-    // Draw QR modules - positioned relative to center
-    const qrX = -baseSize / 2;
-    const qrY = -baseSize / 2;
+    // Drop the oldest unpinned entries over the limit
+    const unpinned = sortHistory(await dbGetAll("history"), false).filter(
+        (existing) => !existing.pinned
+    );
+    for (const old of unpinned.slice(HISTORY_LIMIT)) {
+        await dbDelete("history", old.id);
+    }
 
-    // Logo dimensions
-    const logoSize = usableSize * 0.2; // 20% of usable area
-    const safeZone = logoSize * 1.1;
-    const logoStartOffset = (usableSize - safeZone) / 2;
-    const logoStart = marginPx + logoStartOffset;
-    const logoEnd = logoStart + safeZone;
+    await loadHistory();
+}
 
-    // Use a path to avoid gaps between adjacent squares
-    let pathData = "";
+/**
+ * Sorts entries newest first, optionally with the pinned ones on top.
+ *
+ * @param {HistoryEntry[]} entries
+ * @param {boolean} [pinnedFirst]
+ * @returns {HistoryEntry[]}
+ */
+function sortHistory(entries, pinnedFirst = true) {
+    return [...entries].sort(
+        (a, b) =>
+            (pinnedFirst ? Number(b.pinned) - Number(a.pinned) : 0) ||
+            b.created.localeCompare(a.created)
+    );
+}
 
-    qrCode.modules.data.forEach((bit, index) => {
-        if (!bit) return; // Only draw dark modules
+/**
+ * Reads the history from the database and redraws the list.
+ */
+async function loadHistory() {
+    try {
+        historyEntries = sortHistory(await dbGetAll("history"));
+    } catch (e) {
+        historyList.textContent = `Historia jest niedostępna: ${e.message}`;
+        return;
+    }
+    renderHistoryList();
+}
 
-        const col = index % qrCode.modules.size;
-        const row = Math.floor(index / qrCode.modules.size);
+/**
+ * Restores an entry into the editor: content, settings and images.
+ *
+ * @param {HistoryEntry} entry
+ */
+function restoreHistoryEntry(entry) {
+    applyGeneratorState({ ...defaultGeneratorState, ...entry.state });
+    setCustomLogo(entry.customLogo || null);
+    setBackgroundImage(entry.backgroundImage || null);
+    generateQR();
+}
 
-        // Position relative to the top-left of the centered QR code
-        const x = qrX + marginPx + col * cellSize;
-        const y = qrY + marginPx + row * cellSize;
+/**
+ * Downloads an entry again with its stored settings, independently of what
+ * the editor currently shows.
+ *
+ * @param {HistoryEntry} entry
+ * @param {"png"|"svg"} format
+ */
+async function exportHistoryEntry(entry, format) {
+    const fileName = `${entry.name}_QR_Code.${format}`;
+    if (format === "svg") {
+        const svg = await buildQrSvg(entry.text, entry.options);
+        downloadBlob(new Blob([svg], { type: "image/svg+xml" }), fileName);
+        return;
+    }
 
-        // Calculate logo position in the rotated coordinate system
-        const rotatedLogoStart = qrX + logoStart;
-        const rotatedLogoEnd = qrX + logoEnd;
+    const canvas = await renderQrCanvas(
+        entry.text,
+        HISTORY_PNG_SIZE,
+        entry.options
+    );
+    downloadBlob(await canvasToBlob(canvas), fileName);
+}
 
-        // Skip logo area if needed
-        if (includeLogoCheckbox.checked) {
-            const intersectsSafeZone = !(
-                x + cellSize < rotatedLogoStart ||
-                x > rotatedLogoEnd ||
-                y + cellSize < rotatedLogoStart ||
-                y > rotatedLogoEnd
+/**
+ * Creates a small text button for a history entry. A failed action (e.g. a
+ * database or render error) is shown in `history-status`.
+ *
+ * @param {string} label
+ * @param {string} title
+ * @param {function(): *} onClick
+ * @returns {HTMLButtonElement}
+ */
+function createHistoryButton(label, title, onClick) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener("click", async (e) => {
+        e.preventDefault();
+        showHistoryStatus("");
+        try {
+            await onClick();
+        } catch (error) {
+            showHistoryStatus(
+                `„${title}” nie powiodło się: ${error.message}`,
+                true
             );
-
-            if (intersectsSafeZone) return;
         }
-
-        // Instead of individual rects, add to path data
-        pathData += `M${x},${y}h${cellSize}v${cellSize}h${-cellSize}z`;
     });
-
-    // Add the combined path for all QR modules
-    svg += `<path d="${pathData}" fill="${qrColor}" />`;
-
-    // Close the rotation group
-    svg += `</g>`;
-
-    // Add logo if needed - OUTSIDE the rotation transform to keep it horizontal
-    if (includeLogoCheckbox.checked) {
-        handleSvgLogo(svg, size, logoSize, qrColor, rotationDegrees).then(
-            (logoSvg) => {
-                svg = logoSvg;
-                copyQrToClipboard(svg);
-            }
-        );
-    } else {
-        // Close the main group
-        svg += "</g>";
-        copyQrToClipboard(svg);
-    }
+    return button;
 }
 
 /**
- * Handles the logo addition to the SVG and returns the updated SVG
+ * Shows the result of a history action below the list.
+ *
+ * @param {string} message
+ * @param {boolean} [isError]
  */
-async function handleSvgLogo(svg, size, logoSize, qrColor, rotationDegrees) {
-    const centerX = size / 2;
-    const centerY = size / 2;
-    const logoWidth = logoSize;
-    const logoHeight = logoSize;
-
-    // Calculate logo position - always centered in the SVG
-    const logoX = centerX - logoWidth / 2;
-    const logoY = centerY - logoHeight / 2;
+function showHistoryStatus(message, isError = false) {
+    historyStatus.textContent = message;
+    historyStatus.classList.toggle("error", isError);
+}
 
-    // Create a rectangular clip path for the logo
-    svg += `<defs>
-        <clipPath id="logoClip">
-            <rect x="${logoX}" y="${logoY}" width="${logoWidth}" height="${logoHeight}" />
-        </clipPath>
-    </defs>`;
+/**
+ * Redraws the history list, filtered by the search field (case-insensitive
+ * match in the payload or the file name).
+ */
+function renderHistoryList() {
+    const query = historySearchInput.value.trim().toLowerCase();
+    const entries = historyEntries.filter(
+        (entry) =>
+            !query ||
+            entry.text.toLowerCase().includes(query) ||
+            entry.name.toLowerCase().includes(query)
+    );
 
-    // Handle the logo - custom or default - keeping it horizontal
-    if (customLogoSrc) {
-        // For SVG logo, try to embed it correctly
-        if (customLogoSrc.includes("image/svg+xml")) {
-            try {
-                // Extract the SVG content from the data URI
-                const svgContent = atob(customLogoSrc.split(",")[1]);
+    historyList.replaceChildren(
+        ...entries.map((entry) => {
+            const item = document.createElement("div");
+            item.className = "history-item";
+            item.classList.toggle("pinned", entry.pinned);
+
+            const thumbnail = document.createElement("img");
+            thumbnail.className = "history-thumbnail";
+            thumbnail.src = entry.thumbnail;
+            thumbnail.alt = "";
+
+            const details = document.createElement("div");
+            details.className = "history-details";
+            const text = document.createElement("p");
+            text.className = "history-text";
+            text.textContent = entry.text;
+            text.title = entry.text;
+            const date = document.createElement("p");
+            date.className = "history-date";
+            date.textContent = new Date(entry.created).toLocaleString("pl-PL");
+            details.append(text, date);
+
+            const actions = document.createElement("div");
+            actions.className = "history-actions";
+            actions.append(
+                createHistoryButton("Przywróć", "Wczytaj do edytora", () =>
+                    restoreHistoryEntry(entry)
+                ),
+                createHistoryButton("PNG", "Pobierz PNG", () =>
+                    exportHistoryEntry(entry, "png")
+                ),
+                createHistoryButton("SVG", "Pobierz SVG", () =>
+                    exportHistoryEntry(entry, "svg")
+                ),
+                createHistoryButton(
+                    entry.pinned ? "Odepnij" : "Przypnij",
+                    entry.pinned
+                        ? "Odepnij wpis"
+                        : "Przypnij wpis (nie zostanie usunięty)",
+                    async () => {
+                        await dbPut("history", {
+                            ...entry,
+                            pinned: !entry.pinned,
+                        });
+                        await loadHistory();
+                    }
+                ),
+                createHistoryButton("×", "Usuń wpis", async () => {
+                    await dbDelete("history", entry.id);
+                    await loadHistory();
+                })
+            );
 
-                // Remove XML declaration if present
-                const cleanedSvgContent = svgContent.replace(
-                    /<\?xml[^>]*\?>/,
-                    ""
-                );
+            item.append(thumbnail, details, actions);
+            return item;
+        })
+    );
 
-                // Find the main SVG tag including all its attributes
-                const svgTagMatch = cleanedSvgContent.match(/<svg([^>]*)>/);
-                if (!svgTagMatch) {
-                    throw new Error("Could not find SVG tag");
-                }
+    if (!entries.length) {
+        historyList.textContent = historyEntries.length
+            ? "Brak wyników."
+            : "Historia jest pusta.";
+    }
+}
 
-                const svgAttrs = svgTagMatch[1];
+/**
+ * Deletes all unpinned entries after confirmation.
+ */
+async function clearHistory() {
+    if (!confirm("Usunąć całą historię (poza przypiętymi wpisami)?")) return;
 
-                // Extract all namespace declarations to preserve them
-                const namespaceMatches =
-                    svgAttrs.match(/xmlns(:[\w-]+)?="[^"]+"/g) || [];
-                const namespaces = namespaceMatches.join(" ");
+    showHistoryStatus("");
+    try {
+        for (const entry of historyEntries.filter((entry) => !entry.pinned)) {
+            await dbDelete("history", entry.id);
+        }
+    } catch (error) {
+        showHistoryStatus(
+            `Nie udało się wyczyścić historii: ${error.message}`,
+            true
+        );
+    }
+    // Shows what was deleted before a failure, too
+    await loadHistory();
+}
 
-                // Extract viewBox from the original SVG
-                const viewBoxMatch = svgAttrs.match(/viewBox="([^"]+)"/);
-                let viewBox = viewBoxMatch
-                    ? viewBoxMatch[1].split(/\s+/).map(Number)
-                    : [0, 0, 100, 100];
+// --------------------------------------------------------------------
+// 19. UNDO / REDO
+// --------------------------------------------------------------------
 
-                if (viewBox.length === 2) {
-                    viewBox = [0, 0, viewBox[0], viewBox[1]];
-                }
+/** Maximum number of undo steps kept. */
+const UNDO_LIMIT = 100;
 
-                // Extract inner content - remove outer SVG tag
-                const innerContent = cleanedSvgContent
-                    .replace(/<svg[^>]*>/, "")
-                    .replace(/<\/svg>/, "")
-                    .trim();
-
-                // Create an inner SVG that preserves all namespaces from the original
-                svg += `<g clip-path="url(#logoClip)">
-                    <svg x="${logoX}" y="${logoY}" width="${logoWidth}" height="${logoHeight}" 
-                        viewBox="${viewBox.join(" ")}" ${namespaces}>
-                        ${innerContent}
-                    </svg>
-                </g>`;
-            } catch (e) {
-                console.error("Error processing SVG logo:", e);
-                // Fallback to image embedding if SVG parsing fails
-                svg += `<image x="${logoX}" y="${logoY}" width="${logoWidth}" height="${logoHeight}" 
-                    xlink:href="${customLogoSrc}" clip-path="url(#logoClip)" />`;
-            }
-        } else {
-            // For raster images, use an image element
-            svg += `<image x="${logoX}" y="${logoY}" width="${logoWidth}" height="${logoHeight}" 
-                xlink:href="${customLogoSrc}" clip-path="url(#logoClip)" />`;
-        }
-    } else {
-        // Use the default logo
-        try {
-            // Fetch the default SVG logo
-            const response = await fetch(logoSrc);
-            let logoSvgText = await response.text();
+/**
+ * Changes of the same controls within this time (ms) of the previous one are
+ * merged into one step, so typing a word or dragging a slider is undone at
+ * once rather than character by character.
+ */
+const UNDO_MERGE_DELAY = 1000;
 
-            // Remove XML declaration if present
-            logoSvgText = logoSvgText.replace(/<\?xml[^>]*\?>/, "");
+/**
+ * Everything undo/redo restores.
+ *
+ * @typedef {Object} UndoSnapshot
+ * @property {Object<string, string>} state - Generator state (see getGeneratorState)
+ * @property {string|null} customLogo
+ * @property {string|null} backgroundImage
+ */
 
-            // Find the main SVG tag including all its attributes
-            const svgTagMatch = logoSvgText.match(/<svg([^>]*)>/);
-            if (!svgTagMatch) {
-                throw new Error("Could not find SVG tag in default logo");
-            }
+/** @type {UndoSnapshot[]} */
+let undoStack = [];
 
-            const svgAttrs = svgTagMatch[1];
-
-            // Extract all namespace declarations to preserve them
-            const namespaceMatches =
-                svgAttrs.match(/xmlns(:[\w-]+)?="[^"]+"/g) || [];
-            const namespaces = namespaceMatches.join(" ");
-
-            // Extract viewBox
-            const viewBoxMatch = svgAttrs.match(/viewBox="([^"]+)"/);
-            let viewBox = viewBoxMatch
-                ? viewBoxMatch[1].split(/\s+/).map(Number)
-                : [0, 0, 100, 100];
-
-            // Extract inner content - carefully remove just the outer SVG tag
-            const innerContent = logoSvgText
-                .replace(/<svg[^>]*>/, "")
-                .replace(/<\/svg>/, "")
-                .trim();
-
-            // Add the logo with rectangular clipping and preserved namespaces
-            svg += `<g clip-path="url(#logoClip)">
-                <svg x="${logoX}" y="${logoY}" width="${logoWidth}" height="${logoHeight}" 
-                    viewBox="${viewBox.join(" ")}" ${namespaces}>
-                    ${innerContent}
-                </svg>
-            </g>`;
-        } catch (e) {
-            console.error("Error loading default logo:", e);
-            // Fallback to a simple rectangle if we can't load the logo
-            svg += `<rect x="${logoX}" y="${logoY}" width="${logoWidth}" height="${logoHeight}" 
-                fill="white" stroke="${qrColor}" stroke-width="2" />`;
-        }
-    }
+/** Index of the snapshot that matches the current settings. */
+let undoIndex = -1;
 
-    // Close the main group
-    svg += "</g>";
+/** Time of the last recorded change, for merging (0 = don't merge). */
+let lastUndoTime = 0;
 
-    return svg;
+/** @returns {UndoSnapshot} */
+function captureUndoSnapshot() {
+    return {
+        state: getGeneratorState(),
+        customLogo: customLogoSrc,
+        backgroundImage: backgroundImageSrc,
+    };
 }
 
 /**
- * Finalizes the SVG by closing it and downloading it
+ * Lists the keys that differ between two snapshots (images as "customLogo"
+ * and "backgroundImage").
+ *
+ * @param {UndoSnapshot} a
+ * @param {UndoSnapshot} b
+ * @returns {string[]}
  */
-function finalizeSvgDownload(svg, text) {
-    // Close SVG document
-    svg += "</svg>";
-
-    // Create download link
-    const blob = new Blob([svg], { type: "image/svg+xml" });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    link.download = `${text}_QR_Code.svg`;
-    link.href = url;
-    link.click();
-
-    // Clean up
-    setTimeout(() => URL.revokeObjectURL(url), 100);
+function getChangedKeys(a, b) {
+    const keys = Object.keys(b.state).filter(
+        (key) => a.state[key] !== b.state[key]
+    );
+    ["customLogo", "backgroundImage"].forEach((key) => {
+        if (a[key] !== b[key]) keys.push(key);
+    });
+    return keys;
+}
 
-    // Show success indicator
-    downloadSvgBtnImg.src = "images/done.png";
+/**
+ * Records the current settings as a new undo step if they changed. Called on
+ * every regeneration, which all input handlers go through; regenerations
+ * without a change (resizing, undo itself) record nothing.
+ */
+function recordUndoSnapshot() {
+    const snapshot = captureUndoSnapshot();
+    const current = undoStack[undoIndex];
+    if (current && !getChangedKeys(current, snapshot).length) return;
+
+    const now = Date.now();
+    const previous = undoStack[undoIndex - 1];
+    const merge =
+        previous &&
+        now - lastUndoTime < UNDO_MERGE_DELAY &&
+        getChangedKeys(previous, current).join() ===
+            getChangedKeys(previous, snapshot).join();
+
+    if (merge) {
+        undoStack[undoIndex] = snapshot;
+    } else {
+        // A new change discards the steps that were undone
+        undoStack = undoStack.slice(0, undoIndex + 1);
+        undoStack.push(snapshot);
+        if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+        undoIndex = undoStack.length - 1;
+    }
 
-    resetButtonImage(downloadSvgBtnImg, "images/svg.png");
+    // The first snapshot is the initial state, not a change to merge into
+    lastUndoTime = undoStack.length > 1 ? now : 0;
+    updateUndoButtons();
 }
 
 /**
- * Copies the current displayed QR code as an image (PNG) to the clipboard.
+ * Moves through the undo stack and applies the snapshot found there.
+ *
+ * @param {number} step - -1 to undo, 1 to redo
  */
-function copyQrToClipboard(svg) {
-    svg += "</svg>";
+function stepUndo(step) {
+    const snapshot = undoStack[undoIndex + step];
+    if (!snapshot) return;
+
+    undoIndex += step;
+    lastUndoTime = 0;
+    applyGeneratorState(snapshot.state);
+    setCustomLogo(snapshot.customLogo);
+    setBackgroundImage(snapshot.backgroundImage);
+    updateUndoButtons();
+    generateQR();
+}
 
-    navigator.clipboard.writeText(svg);
+/** Enables the toolbar buttons when there is something to undo/redo. */
+function updateUndoButtons() {
+    undoBtn.disabled = undoIndex <= 0;
+    redoBtn.disabled = undoIndex >= undoStack.length - 1;
+}
 
-    // Indicate success (swap icon)
-    copyBtnImg.src = "images/done.png";
+/**
+ * Handles Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y, Cmd on macOS). Text fields that
+ * are not part of the generator state (batch list, preset name, search) keep
+ * the browser's own text undo.
+ *
+ * @param {KeyboardEvent} e
+ */
+function handleUndoShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+    const key = e.key.toLowerCase();
+    const isUndo = key === "z" && !e.shiftKey;
+    const isRedo = (key === "z" && e.shiftKey) || key === "y";
+    if (!isUndo && !isRedo) return;
+
+    const target = e.target;
+    const isTextField =
+        target.tagName === "TEXTAREA" ||
+        (target.tagName === "INPUT" &&
+            !["checkbox", "radio", "range", "color", "file"].includes(
+                target.type
+            ));
+    if (isTextField && !getStateControls().includes(target)) return;
 
-    resetButtonImage(copyBtnImg, "images/copy.png");
+    e.preventDefault();
+    // Apply a pending (debounced) text change first, so it can be undone too
+    if (isUndo) {
+        clearTimeout(debounceTimer);
+        recordUndoSnapshot();
+    }
+    stepUndo(isUndo ? -1 : 1);
 }
 
 // --------------------------------------------------------------------
-// 10. EVENT LISTENERS & INITIALIZATION
+// 20. EVENT LISTENERS & INITIALIZATION
 // --------------------------------------------------------------------
 
-// 10.1 Text input -> debounced QR generation
+// 20.1 Text input -> debounced QR generation
 textInput.addEventListener("input", generateQRDebounced);
 
-// 10.2 Color inputs -> immediate (non-debounced) QR regeneration
+// 20.2 Content type selector + structured content forms (debounced)
+contentTypeSelect.addEventListener("change", () => {
+    showContentForm();
+    generateQR();
+});
+contentForms.forEach((form) => {
+    if (form.dataset.type !== "text") {
+        form.addEventListener("input", generateQRDebounced);
+    }
+});
+
+// 20.3 Color inputs -> immediate (non-debounced) QR regeneration
 qrColorInput.addEventListener("input", generateQR);
 bgColorInput.addEventListener("input", generateQR);
 
@@ -945,40 +4062,207 @@ function resetButtonImage(imgElement, originalSrc, delay = 2500) {
     }, delay);
 }
 
-// 10.3 Download + Copy
+// 20.4 Fill type / gradient stops / angle -> immediate QR regeneration
+[qrFillTypeSelect, bgFillTypeSelect].forEach((control) =>
+    control.addEventListener("change", () => {
+        updateFillControls();
+        generateQR();
+    })
+);
+[qrGradientAngleInput, bgGradientAngleInput].forEach((control) =>
+    control.addEventListener("input", generateQR)
+);
+[qrGradientStops, bgGradientStops].forEach((container) => {
+    container.addEventListener("input", generateQR);
+    container.addEventListener("click", (e) => {
+        if (!e.target.classList.contains("remove-stop")) return;
+        e.preventDefault();
+        e.target.parentElement.remove();
+        generateQR();
+    });
+});
+addQrStopBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    addGradientStop(qrGradientStops, qrColorInput.value);
+    generateQR();
+});
+addBgStopBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    addGradientStop(bgGradientStops, bgColorInput.value);
+    generateQR();
+});
+
+// 20.5 Encoding options -> immediate QR regeneration
+[
+    eccLevelSelect,
+    qrVersionSelect,
+    forceVersionCheckbox,
+    maskPatternSelect,
+    encodingModeSelect,
+].forEach((control) => control.addEventListener("change", generateQR));
+
+quietZoneInput.addEventListener("input", generateQR);
+showQuietZoneCheckbox.addEventListener("change", generateQR);
+
+// 20.6 Module style -> immediate QR regeneration
+moduleStyleSelect.addEventListener("change", generateQR);
+
+// 20.7 Eye shapes and colors -> immediate QR regeneration
+[eyeOuterShapeSelect, eyeInnerShapeSelect].forEach((control) =>
+    control.addEventListener("change", generateQR)
+);
+[eyeOuterColorInput, eyeInnerColorInput].forEach((control) =>
+    control.addEventListener("input", generateQR)
+);
+customEyeColorsCheckbox.addEventListener("change", () => {
+    toggleDisabled();
+    generateQR();
+});
+
+// 20.8 Frame -> immediate QR regeneration
+frameStyleSelect.addEventListener("change", () => {
+    toggleDisabled();
+    generateQR();
+});
+[frameTextPositionSelect, frameFontSelect].forEach((control) =>
+    control.addEventListener("change", generateQR)
+);
+[frameTextInput, frameColorInput, framePaddingInput].forEach((control) =>
+    control.addEventListener("input", generateQR)
+);
+
+// 20.9 Download + Copy
 downloadPngBtn.addEventListener("click", (e) => {
     e.preventDefault();
-    downloadQRCode();
+    if (confirmExport()) openExportDialog();
+});
+let previousExportUnit = exportUnitSelect.value;
+exportUnitSelect.addEventListener("change", () => {
+    convertExportSize(previousExportUnit);
+    previousExportUnit = exportUnitSelect.value;
+    updateExportSummary();
+});
+[exportSizeInput, exportDpiInput, exportFormatSelect].forEach((control) =>
+    control.addEventListener("input", updateExportSummary)
+);
+exportConfirmBtn.addEventListener("click", async (e) => {
+    e.preventDefault();
+    exportConfirmBtn.disabled = true;
+    try {
+        await downloadQRCode();
+        exportDialog.close();
+    } catch (error) {
+        exportSummary.textContent = `Eksport nie powiódł się: ${error.message}`;
+        exportSummary.classList.add("error");
+    } finally {
+        exportConfirmBtn.disabled = false;
+    }
+});
+exportCancelBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    exportDialog.close();
 });
 downloadSvgBtn.addEventListener("click", (e) => {
     e.preventDefault();
-    downloadQRCodeAsSVG();
+    if (!confirmExport()) return;
+    downloadQRCodeAsSVG().catch((error) =>
+        updateQrInfo(null, `Zapis SVG nie powiódł się: ${error.message}`)
+    );
 });
 copyBtn.addEventListener("click", (e) => {
     e.preventDefault();
-    copyQRCodeAsSVG();
+    toggleCopyMenu();
+});
+copyMenu.addEventListener("click", (e) => {
+    const option = e.target.closest("[data-copy-format]");
+    if (!option) return;
+    toggleCopyMenu(false);
+    if (confirmExport()) copyQrToClipboard(option.dataset.copyFormat);
+});
+copyMenu.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape") return;
+    toggleCopyMenu(false);
+    copyBtn.focus();
+});
+document.addEventListener("click", (e) => {
+    if (!copyMenu.hidden && !e.target.closest("#copy-container")) {
+        toggleCopyMenu(false);
+    }
+});
+
+// 20.10 Batch generation
+batchFileInput.addEventListener("change", async () => {
+    const file = batchFileInput.files[0];
+    if (!file) return;
+    batchInput.value = await file.text();
+    batchFileInput.value = "";
+});
+batchGenerateBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    generateBatchZip().catch((error) =>
+        showBatchStatus(`Nie udało się utworzyć ZIP: ${error.message}`, true)
+    );
+});
+
+// 20.11 PDF export
+pdfDownloadBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    downloadQRCodeAsPDF();
 });
 
-// 10.4 Toggle transparent background
+// 20.12 Contrast fixes
+backingPanelCheckbox.addEventListener("change", generateQR);
+swapColorsBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    swapColors();
+});
+darkenFgBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    darkenForeground();
+});
+addPanelBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    addBackingPanel();
+});
+
+// 20.13 Toggle transparent background
 transparentBg.addEventListener("change", () => {
     toggleDisabled();
     generateQR();
 });
 
-// 10.5 Toggle inclusion of the logo
+// 20.14 Toggle inclusion of the logo
 includeLogoCheckbox.addEventListener("change", () => {
     toggleDisabled();
     generateQR();
 });
+[logoTrimCheckbox, logoRemoveWhiteCheckbox].forEach((control) =>
+    control.addEventListener("change", generateQR)
+);
+[
+    logoPaddingInput,
+    logoScaleInput,
+    logoPlateColorInput,
+    logoColorInput,
+    logoBorderWidthInput,
+    logoBorderColorInput,
+].forEach((control) => control.addEventListener("input", generateQR));
+[logoShapeSelect, logoPlateSelect, logoColorModeSelect].forEach((control) =>
+    control.addEventListener("change", () => {
+        toggleDisabled();
+        generateQR();
+    })
+);
+logoSafeClampCheckbox.addEventListener("change", generateQR);
 
-// 10.6 Rotation range slider
+// 20.15 Rotation range slider
 rotationRange.addEventListener("input", (e) => {
     e.preventDefault();
     rotationValueDisplay.value = rotationRange.value;
     generateQR();
 });
 
-// 10.7 Rotation numeric input (mirrors the range slider)
+// 20.16 Rotation numeric input (mirrors the range slider)
 rotationValueDisplay.addEventListener("input", () => {
     rotationRange.value = rotationValueDisplay.value;
     generateQR();
@@ -990,7 +4274,7 @@ rotationValueDisplay.addEventListener("keydown", (e) => {
     }
 });
 
-// 10.8 Background image file input
+// 20.17 Background image file input
 bgImageInput.addEventListener("change", (e) => {
     const file = e.target.files[0];
     toggleDisabled();
@@ -1000,37 +4284,53 @@ bgImageInput.addEventListener("change", (e) => {
         return;
     }
 
-    // Hide color input if using an image
-    bgColorInput.classList.add("disabled");
     removeBgImageBtn.style.display = "block";
 
     // Read the image as a data URL
     const reader = new FileReader();
     reader.onload = (evt) => {
-        backgroundImageSrc = evt.target.result;
+        // Another file was chosen (or the image removed) while reading
+        if (bgImageInput.files[0] !== file) return;
+
+        const src = evt.target.result;
+        backgroundImageSrc = src;
+        backgroundImageLuminance = null;
+        toggleDisabled();
         generateQR();
+
+        // Measure the image for the contrast check
+        measureBackgroundImage(src);
     };
     reader.readAsDataURL(file);
 });
 
 removeBgImageBtn.addEventListener("click", (e) => {
     e.preventDefault();
-    bgImageInput.value = "";
-    backgroundImageSrc = null;
-    removeBgImageBtn.style.display = "none";
-    imageContainer.style.backgroundImage = "";
-    addImageIcon.style.display = "block";
-
-    // Re-enable color input
-    bgColorInput.classList.remove("disabled");
+    setBackgroundImage(null);
     generateQR();
 });
+[bgImageOpacityInput, bgImageBlurInput].forEach((control) =>
+    control.addEventListener("input", generateQR)
+);
+[bgImageFitSelect, halftoneCheckbox].forEach((control) =>
+    control.addEventListener("change", generateQR)
+);
 
 logoImageInput.addEventListener("change", (e) => {
     const file = e.target.files[0];
-    if (file) {
+    if (file && !LOGO_FILE_TYPES.includes(file.type)) {
+        alert("Logo musi być plikiem SVG, PNG, JPEG lub WebP.");
+        logoImageInput.value = "";
+        return;
+    }
+    if (file && file.type === "image/svg+xml") {
+        const reader = new FileReader();
+        reader.onload = (evt) => useSvgLogo(evt.target.result);
+        reader.readAsText(file);
+    } else if (file) {
         // Show the remove button
         logoRemoveButton.style.display = "block";
+        showLogoStatus("");
 
         const reader = new FileReader();
         reader.onload = (evt) => {
@@ -1044,31 +4344,134 @@ logoImageInput.addEventListener("change", (e) => {
     }
 });
 
-// 10.9 Button to remove the chosen background image
+// 20.18 Button to remove the chosen background image
 logoRemoveButton.addEventListener("click", (e) => {
     e.preventDefault();
-    customLogoSrc = null;
-
-    const img = document.getElementById("logo-image-preview");
-    img.style.display = "none";
+    setCustomLogo(null);
+    generateQR();
+});
 
-    // Hide the remove button
-    logoRemoveButton.style.display = "none";
+// 20.19 Recompute sizing on window resize
+window.addEventListener("resize", () => {
+    resizeCanvasToContainer();
+});
 
-    // Clear the file input
-    logoImageInput.value = "";
+// 20.20 Shareable links: copy the link, follow links pasted into this tab
+copyLinkBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    copyShareLink();
+});
+window.addEventListener("hashchange", () => {
+    restoreStateFromUrl();
+    generateQR();
+});
 
-    addImageLogo.style.display = "block";
+// 20.21 Style presets
+savePresetBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    saveCurrentPreset();
+});
+presetNameInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+        e.preventDefault();
+        saveCurrentPreset();
+    }
+});
+exportPresetsBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    exportPresets().catch((error) =>
+        showPresetStatus(`Eksport nie powiódł się: ${error.message}`, true)
+    );
+});
+importPresetsFile.addEventListener("change", async () => {
+    const file = importPresetsFile.files[0];
+    if (!file) return;
+    importPresetsFile.value = "";
+    try {
+        const { imported, droppedImages } = await importPresets(file);
+        if (droppedImages) {
+            showPresetStatus(
+                `Zaimportowano ${imported} zestawów. Pominięto ${droppedImages} obrazów spoza pliku (dozwolone są tylko obrazy zapisane w pliku).`,
+                true
+            );
+        } else {
+            showPresetStatus(`Zaimportowano ${imported} zestawów.`);
+        }
+    } catch (error) {
+        showPresetStatus(error.message, true);
+    }
+    renderPresetList();
+});
 
-    generateQR();
+// 20.22 Generation history
+historySearchInput.addEventListener("input", renderHistoryList);
+historySearchInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+        e.preventDefault(); // Searching is live; don't submit the form
+    }
+});
+clearHistoryBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    clearHistory();
 });
 
-// 10.10 Recompute sizing on window resize
-window.addEventListener("resize", () => {
-    resizeCanvasToContainer();
+// 20.23 Undo / redo
+undoBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    stepUndo(-1);
+});
+redoBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    stepUndo(1);
+});
+document.addEventListener("keydown", handleUndoShortcut);
+
+// 20.24 Import of an existing code (upload, paste or drop)
+qrImportInput.addEventListener("change", () => {
+    const file = qrImportInput.files[0];
+    if (!file) return;
+    qrImportInput.value = "";
+    importQrImage(file);
+});
+document.addEventListener("paste", (e) => {
+    // Text pastes go to the focused field as usual
+    const file = [...(e.clipboardData?.files || [])].find((item) =>
+        item.type.startsWith("image/")
+    );
+    if (!file) return;
+    e.preventDefault();
+    importQrImage(file);
+});
+qrImportZone.addEventListener("dragover", (e) => {
+    if (!e.dataTransfer.types.includes("Files")) return;
+    e.preventDefault();
+    qrImportZone.classList.add("drag-over");
+});
+qrImportZone.addEventListener("dragleave", (e) => {
+    if (!qrImportZone.contains(e.relatedTarget)) {
+        qrImportZone.classList.remove("drag-over");
+    }
+});
+qrImportZone.addEventListener("drop", (e) => {
+    qrImportZone.classList.remove("drag-over");
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    e.preventDefault();
+    importQrImage(file);
+});
+qrCompareCloseBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    showImportComparison(null);
 });
 
-// 10.11 Initial calls on page load
+// 20.25 Initial calls on page load
+quietZoneInput.max = MAX_QUIET_ZONE;
+populateVersionOptions();
+defaultGeneratorState = getGeneratorState();
+restoreStateFromUrl();
+toggleDisabled();
+renderPresetList();
+loadHistory();
 resizeCanvasToContainer();
 generateQR();
 
@@ -1092,32 +4495,75 @@ logoInput.addEventListener("change", updateLogoDisplay);
 function updateImageDisplay() {
     const file = bgInput.files[0];
     if (validFileType(file)) {
-        imageContainer.style.backgroundImage = `url(${URL.createObjectURL(
-            file
-        )})`;
+        imageContainer.style.backgroundImage = cssUrl(
+            URL.createObjectURL(file)
+        );
         addImageIcon.style.display = "none";
     }
 }
 
 /**
  * Updates the preview when a logo is selected by the user.
- * Creates an object URL for the selected SVG file and displays it in the preview area.
+ * Creates an object URL for the selected SVG or raster file and displays it in the preview area.
  */
 function updateLogoDisplay() {
     const file = logoInput.files[0];
-    if (file.type === "image/svg+xml") {
-        const ogjectURL = URL.createObjectURL(file);
+    if (file && LOGO_FILE_TYPES.includes(file.type)) {
+        showLogoPreview(URL.createObjectURL(file));
+    }
+}
 
-        const img = document.getElementById("logo-image-preview");
-        img.src = ogjectURL;
-        img.style.display = "block";
-        img.style.position = "absolute";
-        img.style.width = "25%";
-        img.style.height = "25%";
-        img.style.objectFit = "contain";
+/**
+ * Shows a logo in the preview area in place of the "add" icon.
+ *
+ * @param {string} src - Object URL or data URI of the logo
+ */
+function showLogoPreview(src) {
+    logoImagePreview.src = src;
+    logoImagePreview.style.display = "block";
+    logoImagePreview.style.position = "absolute";
+    logoImagePreview.style.width = "25%";
+    logoImagePreview.style.height = "25%";
+    logoImagePreview.style.objectFit = "contain";
+
+    addImageLogo.style.display = "none";
+}
+
+/**
+ * Shows a message about the uploaded logo below it.
+ *
+ * @param {string} message - Empty to hide the message
+ * @param {boolean} [isError]
+ */
+function showLogoStatus(message, isError = false) {
+    logoStatus.textContent = message;
+    logoStatus.classList.toggle("error", isError);
+}
+
+/**
+ * Uses an uploaded SVG file as the custom logo. The markup is sanitized
+ * first (see sanitizeSvgLogo), so scripts and external references never
+ * reach the preview, the stored presets/history or the exported files; the
+ * user is told what was removed.
+ *
+ * @param {string} markup - Contents of the SVG file
+ */
+function useSvgLogo(markup) {
+    let sanitized;
+    try {
+        sanitized = sanitizeSvgLogo(markup);
+    } catch (e) {
+        // Keep the previous logo
+        setCustomLogo(customLogoSrc);
+        showLogoStatus(e.message, true);
+        return;
+    }
 
-        addImageLogo.style.display = "none";
+    setCustomLogo(svgToDataUri(sanitized.markup));
+    if (sanitized.removed.length) {
+        showLogoStatus(`Usunięto z logo: ${sanitized.removed.join(", ")}.`);
     }
+    generateQR();
 }
 
 /**
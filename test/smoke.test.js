@@ -0,0 +1,166 @@
+/**
+ * Smoke test of the core: renders styled SVG and PNG codes, plain and framed,
+ * and checks that they decode back to the text (and error correction level).
+ *
+ * Needs the optional @napi-rs/canvas package (for the PNG and for
+ * rasterizing the SVG); the tests are skipped without it.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const jsQR = require("jsqr");
+
+const {
+    setRenderPlatform,
+    renderQrCanvas,
+    buildQrSvg,
+    buildScene,
+    createQrCode,
+    readErrorCorrectionLevel,
+} = require("../qrgen");
+
+let canvasModule = null;
+try {
+    canvasModule = require("@napi-rs/canvas");
+    setRenderPlatform({
+        createCanvas: canvasModule.createCanvas,
+        loadImage: canvasModule.loadImage,
+        Path2D: canvasModule.Path2D,
+    });
+} catch (e) {
+    // Reported through `skip` below
+}
+const skip = canvasModule ? false : "@napi-rs/canvas is not installed";
+
+const TEXT = "https://example.com/smoke-test";
+const OPTIONS = {
+    errorCorrectionLevel: "H",
+    qrColor: "#1d3c8f",
+    moduleStyle: "liquid",
+    eyeOuterShape: "rounded",
+    eyeInnerShape: "rounded",
+    cropToContent: true,
+};
+
+/**
+ * Decodes the QR code drawn on a canvas.
+ *
+ * @param {Object} canvas
+ * @returns {string|null}
+ */
+function decodeCanvas(canvas) {
+    const { data, width, height } = canvas
+        .getContext("2d")
+        .getImageData(0, 0, canvas.width, canvas.height);
+    return jsQR(data, width, height)?.data ?? null;
+}
+
+test("renders a PNG that decodes to the text", { skip }, async () => {
+    const canvas = await renderQrCanvas(TEXT, 800, OPTIONS);
+    const png = await canvas.encode("png");
+    assert.strictEqual(png.subarray(1, 4).toString(), "PNG");
+
+    const image = await canvasModule.loadImage(png);
+    const decoded = canvasModule.createCanvas(image.width, image.height);
+    decoded.getContext("2d").drawImage(image, 0, 0);
+    assert.strictEqual(decodeCanvas(decoded), TEXT);
+});
+
+test("renders an SVG that decodes to the text", { skip }, async () => {
+    const svg = await buildQrSvg(TEXT, OPTIONS);
+    assert.match(svg, /^<svg [^>]*xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+
+    const image = await canvasModule.loadImage(Buffer.from(svg));
+    const canvas = canvasModule.createCanvas(800, 800);
+    canvas.getContext("2d").drawImage(image, 0, 0, 800, 800);
+    assert.strictEqual(decodeCanvas(canvas), TEXT);
+});
+
+test("frames the code without covering it", { skip }, async () => {
+    for (const frameStyle of ["box", "bubble", "banner"]) {
+        const options = { ...OPTIONS, frameStyle, frameTextPosition: "top" };
+        const canvas = await renderQrCanvas(TEXT, 800, options);
+        assert.ok(canvas.height > canvas.width, frameStyle);
+        assert.strictEqual(decodeCanvas(canvas), TEXT, frameStyle);
+
+        const svg = await buildQrSvg(TEXT, options);
+        assert.match(svg, />Zeskanuj mnie<\/text>/, frameStyle);
+    }
+});
+
+test("decodes every module style at preview sizes", { skip }, async () => {
+    // Flattened onto white and decoded like verifyRenderedQr on the page
+    for (const moduleStyle of [
+        "square",
+        "circle",
+        "rounded",
+        "liquid",
+        "vbars",
+        "hbars",
+    ]) {
+        for (const size of [400, 800, 1600]) {
+            const canvas = await renderQrCanvas(TEXT, size, { moduleStyle });
+            const flattened = canvasModule.createCanvas(size, size);
+            const ctx = flattened.getContext("2d");
+            ctx.fillStyle = "#ffffff";
+            ctx.fillRect(0, 0, size, size);
+            ctx.drawImage(canvas, 0, 0);
+            assert.strictEqual(
+                decodeCanvas(flattened),
+                TEXT,
+                `${moduleStyle} at ${size} px`
+            );
+        }
+    }
+});
+
+test("sizes the quiet zone in modules", () => {
+    const { size } = createQrCode(TEXT, OPTIONS).modules;
+    [0, 4, 10].forEach((quietZone) => {
+        const scene = buildScene(TEXT, { ...OPTIONS, quietZone });
+        const cellSize = scene.areaSize / (size + 2 * quietZone);
+        assert.strictEqual(scene.quietZone, quietZone * cellSize);
+        assert.strictEqual(scene.shapes[0].box.w, size * cellSize);
+    });
+    assert.strictEqual(
+        buildScene(TEXT, { quietZone: 25 }).quietZone,
+        buildScene(TEXT, { quietZone: 10 }).quietZone
+    );
+});
+
+test(
+    "reads the error correction level back from the image",
+    { skip },
+    async () => {
+        for (const level of ["L", "M", "Q", "H"]) {
+            for (const options of [
+                { moduleStyle: "square" },
+                {
+                    ...OPTIONS,
+                    rotation: 30,
+                    qrColor: "#ffffff",
+                    bgColor: "#1d3c8f",
+                },
+            ]) {
+                const canvas = await renderQrCanvas(TEXT, 600, {
+                    ...options,
+                    errorCorrectionLevel: level,
+                });
+                const image = canvas
+                    .getContext("2d")
+                    .getImageData(0, 0, canvas.width, canvas.height);
+                const result = jsQR(image.data, image.width, image.height, {
+                    inversionAttempts: "attemptBoth",
+                });
+                assert.strictEqual(
+                    readErrorCorrectionLevel(
+                        image,
+                        result.location,
+                        result.version
+                    ),
+                    level
+                );
+            }
+        }
+    }
+);
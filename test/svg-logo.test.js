@@ -0,0 +1,115 @@
+/**
+ * Tests of the SVG logo sanitizer (sanitizeSvgLogo) and of the way SVG logos
+ * are embedded in the exported SVG.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { sanitizeSvgLogo, buildQrSvg } = require("../qrgen");
+
+const SVG_OPEN = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10">';
+
+/**
+ * Sanitizes a logo and checks that the external address is gone and that the
+ * result parses again.
+ *
+ * @param {string} markup
+ * @returns {{markup: string, removed: string[]}}
+ */
+function assertNoExternalReference(markup) {
+    const result = sanitizeSvgLogo(markup);
+    assert.doesNotMatch(result.markup, /evil\.example/);
+    assert.deepStrictEqual(result.removed, ["odwołania zewnętrzne (1)"]);
+    assert.doesNotThrow(() => sanitizeSvgLogo(result.markup));
+    return result;
+}
+
+test("removes url() spelled with character references in <style>", () => {
+    assertNoExternalReference(
+        `${SVG_OPEN}<style>rect { fill: &#x75;rl(http://evil.example/a.svg#g) }</style><rect width="10" height="10" /></svg>`
+    );
+});
+
+test("removes url() spelled with CSS escapes", () => {
+    assertNoExternalReference(
+        `${SVG_OPEN}<style>rect { fill: \\75 rl(http://evil.example/a.svg#g) }</style></svg>`
+    );
+    assertNoExternalReference(
+        `${SVG_OPEN}<rect style="fill: u\\72l('http://evil.example/a.svg#g')" /></svg>`
+    );
+    assertNoExternalReference(
+        `${SVG_OPEN}<style>@\\69mport "http://evil.example/a.css";</style></svg>`
+    );
+});
+
+test("removes image-set() and other resource functions with external strings", () => {
+    assertNoExternalReference(
+        `${SVG_OPEN}<rect style="fill: image-set('http://evil.example/a.png' 1x)" /></svg>`
+    );
+    assertNoExternalReference(
+        `${SVG_OPEN}<style>rect { fill: -webkit-image-set(url(//evil.example/a.png) 1x) }</style></svg>`
+    );
+});
+
+test("keeps local references and leaves clean CSS as written", () => {
+    const markup = `${SVG_OPEN}<style>rect { fill: url(#g); font-family: "Averta" }</style><rect width="10" height="10" fill="url('#g')" /></svg>`;
+    const result = sanitizeSvgLogo(markup);
+    assert.deepStrictEqual(result.removed, []);
+    assert.match(result.markup, /fill: url\(#g\); font-family: "Averta"/);
+    assert.match(result.markup, /fill="url\('#g'\)"/);
+});
+
+test("expands text entities declared in the DOCTYPE before dropping it", () => {
+    const result = sanitizeSvgLogo(
+        '<!DOCTYPE svg [<!ENTITY ns_svg "http://www.w3.org/2000/svg"><!ENTITY name "WRSS">]>' +
+            '<svg xmlns="&ns_svg;" viewBox="0 0 10 10"><text>&name; &amp; co</text></svg>'
+    );
+    assert.deepStrictEqual(result.removed, ["deklaracja DOCTYPE (1)"]);
+    assert.match(
+        result.markup,
+        /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/
+    );
+    assert.match(result.markup, /<text>WRSS &amp; co<\/text>/);
+});
+
+test("rejects undefined entities and entities that can't be expanded safely", () => {
+    const malformed = [
+        `${SVG_OPEN}<text>&e;</text></svg>`,
+        `${SVG_OPEN}<rect fill="&e;" /></svg>`,
+        `${SVG_OPEN}<text>a & b</text></svg>`,
+        `<!DOCTYPE svg [<!ENTITY e SYSTEM "http://evil.example/e">]>${SVG_OPEN}<text>&e;</text></svg>`,
+        `<!DOCTYPE svg [<!ENTITY e "&#60;script>alert(1)&#60;/script>">]>${SVG_OPEN}<text>&e;</text></svg>`,
+        `<!DOCTYPE svg [<!ENTITY a "x"><!ENTITY b "&a;&a;">]>${SVG_OPEN}<text>&b;</text></svg>`,
+        `<!DOCTYPE svg [<!ENTITY % p "x">]>${SVG_OPEN}</svg>`,
+    ];
+    malformed.forEach((markup) => {
+        assert.throws(() => sanitizeSvgLogo(markup), /encj/, markup);
+    });
+});
+
+test("embeds logos with a prefixed root and parses them once", async () => {
+    const logo = `data:image/svg+xml;base64,${Buffer.from(
+        '<svg:svg xmlns:svg="http://www.w3.org/2000/svg" viewBox="0 0 20 10"><svg:rect width="20" height="10" /></svg:svg>'
+    ).toString("base64")}`;
+
+    const originalFetch = global.fetch;
+    let fetches = 0;
+    global.fetch = (...args) => {
+        fetches++;
+        return originalFetch(...args);
+    };
+    try {
+        const options = { logo, logoColorMode: "keep" };
+        const svg = await buildQrSvg("https://example.com", options);
+        await buildQrSvg("https://example.com", { ...options, rotation: 10 });
+
+        assert.match(
+            svg,
+            /<svg x="[\d.]+" y="[\d.]+" width="[\d.]+" height="[\d.]+" viewBox="0 0 20 10" xmlns:svg="http:\/\/www\.w3\.org\/2000\/svg"><svg:rect width="20" height="10" \/><\/svg>/
+        );
+        assert.strictEqual(fetches, 1);
+    } finally {
+        global.fetch = originalFetch;
+    }
+});